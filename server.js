@@ -40,10 +40,14 @@ import siteRoutes from './src/routes/siteRoutes.js';
 import achievementRoutes from './src/routes/achievementRoutes.js';
 import feedbackRoutes from './src/routes/feedbackRoutes.js';
 import bookmarkRoutes from './src/routes/bookmarkRoutes.js';
+import certificateRoutes from './src/routes/certificateRoutes.js';
 
 // Import middleware
 import { errorHandler } from './src/middleware/errorHandler.js';
 import { notFound } from './src/middleware/errorHandler.js';
+import { authenticateSocket } from './src/middleware/socketAuth.js';
+import { trackSocketPresence, resetPresence } from './src/utils/presenceTracker.js';
+import { trackMessagingEvents } from './src/utils/messageReceipts.js';
 import connectDB from './src/config/database.js';
 import { scheduleDailyAutoMessages } from './src/utils/autoMessaging.js';
 import cron from 'node-cron';
@@ -216,55 +220,36 @@ app.use('/api/site', siteRoutes);
 app.use('/api/achievements', achievementRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/certificates', certificateRoutes);
+
+// Socket.IO handshake authentication (requires a valid JWT; rejects banned/suspended accounts)
+io.use(authenticateSocket);
 
 // Socket.IO connection handling
+// Clients only listen: every realtime event is emitted by the server after the DB write succeeds
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join user to their personal room
-  socket.on('join', (userId) => {
-    socket.join(`user_${userId}`);
-    console.log(`User ${userId} joined their room`);
-  });
+  const userId = socket.user._id.toString();
+  console.log('User connected:', socket.id, userId);
 
-  // Handle real-time post updates
-  socket.on('new_post', (postData) => {
-    socket.broadcast.emit('post_created', postData);
-  });
-
-  // Handle real-time comments
-  socket.on('new_comment', (commentData) => {
-    socket.broadcast.emit('comment_added', commentData);
-  });
-
-  // Handle user online status
-  socket.on('user_online', (userId) => {
-    socket.broadcast.emit('user_status_changed', { userId, isOnline: true });
-  });
-
-  // Handle real-time feedback updates
-  socket.on('feedback_submitted', (feedbackData) => {
-    socket.broadcast.emit('feedback_created', feedbackData);
-  });
-
-  socket.on('feedback_updated', (feedbackData) => {
-    socket.broadcast.emit('feedback_modified', feedbackData);
-  });
+  // Join the authenticated user to their personal room (and admins to the admin room)
+  socket.join(`user_${userId}`);
+  if (socket.user.role === 'admin') {
+    socket.join('admins');
+  }
 
-  socket.on('feedback_response', (responseData) => {
-    socket.broadcast.emit('response_added', responseData);
-  });
+  // Online status is driven by live sockets, counted across tabs and devices
+  trackSocketPresence(io, socket);
 
-  socket.on('feedback_bookmarked', (bookmarkData) => {
-    socket.broadcast.emit('bookmark_updated', bookmarkData);
-  });
+  // Typing indicators and delivery/read receipts (scoped to conversation participants)
+  trackMessagingEvents(io, socket);
 
-  socket.on('feedback_flagged', (flagData) => {
-    socket.broadcast.emit('flag_updated', flagData);
+  // Legacy clients still emit `join`; the room is always derived from the token, never the payload
+  socket.on('join', () => {
+    socket.join(`user_${userId}`);
   });
 
   socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
+    console.log('User disconnected:', socket.id, userId);
   });
 });
 
@@ -286,9 +271,16 @@ process.on('SIGTERM', () => {
 const startServer = async () => {
   await connectDB();
 
+  // Nobody has a socket yet, so clear online flags left over from the last run
+  await resetPresence();
+
   // Initialize auto-messaging scheduler
   scheduleDailyAutoMessages();
 
+  // Send event reminders as they come due
+  const { startEventReminderScheduler } = await import('./src/utils/eventReminders.js');
+  startEventReminderScheduler();
+
   // Schedule daily tasks
   cron.schedule('0 10 * * *', async () => {
     console.log('🕐 Running daily tasks...');
@@ -300,29 +292,45 @@ const startServer = async () => {
     // Check broken streaks
     const { checkBrokenStreaks } = await import('./src/utils/streakTracker.js');
     await checkBrokenStreaks();
+  });
+
+  // Every minute: move events to live/completed as they start and end
+  cron.schedule('* * * * *', async () => {
+    const { processEventLifecycle } = await import('./src/utils/eventLifecycle.js');
+    await processEventLifecycle();
+  });
+
+  // Every 15 minutes: ask attendees of events that just ended for feedback
+  cron.schedule('*/15 * * * *', async () => {
+    const { sendFeedbackRequests } = await import('./src/utils/eventFeedback.js');
+    await sendFeedbackRequests();
+  });
+
+  // Nightly: generate recurring event occurrences up to the horizon
+  cron.schedule('0 2 * * *', async () => {
+    const { generateAllOccurrences } = await import('./src/utils/eventRecurrence.js');
+    await generateAllOccurrences();
+  });
 
-    // Schedule event reminders
-    try {
-      const response = await fetch('http://localhost:' + PORT + '/api/calendar/schedule-reminders', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.PLATFORM_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      });
-      console.log('📅 Event reminders scheduled');
-    } catch (error) {
-      console.log('⚠️ Event reminder scheduling failed:', error.message);
-    }
+  // Nightly: recompute course progress from completed modules
+  cron.schedule('30 3 * * *', async () => {
+    const { recomputeAllCourseProgress } = await import('./src/utils/courseProgress.js');
+    await recomputeAllCourseProgress();
   });
 
   // Initialize Socket.IO in controllers to avoid circular dependency
   const messageController = await import('./src/controllers/messageController.js');
   const connectionController = await import('./src/controllers/connectionController.js');
+  const postController = await import('./src/controllers/postController.js');
+  const feedbackController = await import('./src/controllers/feedbackController.js');
+  const eventNotifier = await import('./src/utils/eventNotifier.js');
 
   // Pass io instance to controllers that need it
   if (messageController.setSocketIO) messageController.setSocketIO(io);
   if (connectionController.setSocketIO) connectionController.setSocketIO(io);
+  if (postController.setSocketIO) postController.setSocketIO(io);
+  if (feedbackController.setSocketIO) feedbackController.setSocketIO(io);
+  if (eventNotifier.setSocketIO) eventNotifier.setSocketIO(io);
 
   server.listen(PORT, () => {
     console.log(`🚀 YOU YES YOU API Server running on port ${PORT}`);
@@ -1,5 +1,6 @@
 import AdminSettings from '../models/AdminSettings.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { DEFAULT_FEEDBACK_SURVEYS } from '../utils/eventFeedback.js';
 
 // @desc    Get all settings
 // @route   GET /api/admin/settings
@@ -82,6 +83,7 @@ const getDefaultSettings = (category) => {
       language: 'en',
     },
     invite: {
+      requireInviteCode: false,
       requireApproval: true,
       sendWelcomeMessage: true,
       invitationExpiry: 30,
@@ -230,6 +232,7 @@ const getDefaultSettings = (category) => {
       },
     },
     moderation: {
+      requireEmailVerification: false,
       autoModeration: {
         enabled: true,
         filterProfanity: true,
@@ -302,6 +305,9 @@ const getDefaultSettings = (category) => {
         author: '— Michael A. Copeland, Chief Administrator'
       }
     },
+    events: {
+      feedbackSurveys: DEFAULT_FEEDBACK_SURVEYS,
+    },
   };
 
   return defaults[category] || {};
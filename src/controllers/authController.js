@@ -1,19 +1,26 @@
 import jwt from 'jsonwebtoken';
-import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../utils/generateToken.js';
+import crypto from 'crypto';
+import { generateAccessToken } from '../utils/generateToken.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import Notification from '../models/Notification.js';
 import Activity from '../models/Activity.js';
+import Invite from '../models/Invite.js';
+import AdminSettings from '../models/AdminSettings.js';
 import { updateStreak, STREAK_TYPES } from '../utils/streakTracker.js';
 import { sendWelcomeMessage } from '../utils/autoMessaging.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { logSignup, directLogActivity } from '../middleware/activityLogger.js';
+import { sendPasswordResetEmail, sendEmailVerificationEmail } from '../utils/emailService.js';
+import { expireStaleRestrictions, getAccountStanding, standingErrorResponse } from '../utils/accountStanding.js';
+import { isUserOnline } from '../utils/presenceTracker.js';
 
 // Generate JWT moved to utils
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
-  const token = generateAccessToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+// Send token response (starts a new server-side session for this device)
+const sendTokenResponse = async (user, statusCode, req, res, message = 'Success') => {
+  const { refreshToken, session } = await Session.issue(user._id, req);
+  const token = generateAccessToken(user._id, session.family);
 
   const userResponse = {
     _id: user._id,
@@ -30,6 +37,7 @@ const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
     level: user.level,
     role: user.role,
     isOnline: user.isOnline,
+    emailVerified: user.emailVerified,
     achievements: user.achievements,
   };
 
@@ -46,7 +54,7 @@ const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
 // @route   POST /api/auth/register
 // @access  Public
 export const register = asyncHandler(async (req, res) => {
-  const { name, username, email, password, bio, location } = req.body;
+  const { name, username, email, password, bio, location, inviteCode } = req.body;
 
   // Check if user already exists
   const existingUser = await User.findOne({
@@ -61,6 +69,37 @@ export const register = asyncHandler(async (req, res) => {
     });
   }
 
+  // Validate invite code when signups are invite-only (or when one is supplied)
+  const inviteSettings = await AdminSettings.getByCategory('invite');
+  const requireInviteCode = Boolean(inviteSettings?.settings?.requireInviteCode);
+  let invite = null;
+
+  if (requireInviteCode || inviteCode) {
+    if (!inviteCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invite code is required to join',
+      });
+    }
+
+    invite = await Invite.findByCode(inviteCode);
+
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invite code',
+      });
+    }
+
+    const { isValid, reason } = invite.checkValidity();
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: reason,
+      });
+    }
+  }
+
   // Create user
   const user = await User.create({
     name,
@@ -69,8 +108,27 @@ export const register = asyncHandler(async (req, res) => {
     password,
     bio: bio || '',
     location: location || '',
+    ...(invite?.phase && { phase: invite.phase }),
+    ...(invite?.role && { role: invite.role }),
   });
 
+  // Redeem the invite atomically; roll back the account if it was used up meanwhile
+  if (invite) {
+    const redeemed = await Invite.redeem(invite._id, user._id);
+    if (!redeemed) {
+      await User.findByIdAndDelete(user._id);
+      return res.status(400).json({
+        success: false,
+        message: 'Invite code is no longer valid',
+      });
+    }
+  }
+
+  // Issue email verification link
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await sendEmailVerificationEmail(user, verificationToken);
+
   // Award points for joining
   await user.addPoints(10, 'Account registration');
 
@@ -105,7 +163,7 @@ export const register = asyncHandler(async (req, res) => {
     }
   }, 1000);
 
-  sendTokenResponse(user, 201, res, 'User registered successfully');
+  await sendTokenResponse(user, 201, req, res, 'User registered successfully');
 });
 
 // @desc    Login user
@@ -134,6 +192,15 @@ export const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // Banned or suspended members cannot sign in
+  const restrictionsExpired = expireStaleRestrictions(user);
+  const standing = getAccountStanding(user);
+
+  if (!standing.allowed) {
+    if (restrictionsExpired) await user.save();
+    return res.status(403).json(standingErrorResponse(standing));
+  }
+
   // Update login streak and award points for daily login
   const today = new Date().toDateString();
   const lastLogin = user.lastActive ? user.lastActive.toDateString() : null;
@@ -143,15 +210,14 @@ export const login = asyncHandler(async (req, res) => {
     await updateStreak(user._id, STREAK_TYPES.LOGIN);
   }
 
-  // Update online status
-  user.isOnline = true;
+  // Online status follows the socket connection; just record activity here
   user.lastActive = new Date();
   await user.save();
 
   // Log login activity
   await directLogActivity(user._id, 'login', 'User logged in', { req });
 
-  sendTokenResponse(user, 200, res, 'Login successful');
+  await sendTokenResponse(user, 200, req, res, 'Login successful');
 });
 
 // @desc    Get current user
@@ -177,6 +243,8 @@ export const getMe = asyncHandler(async (req, res) => {
       level: user.level,
       role: user.role,
       isOnline: user.isOnline,
+      emailVerified: user.emailVerified,
+      privacySettings: user.privacySettings,
       achievements: user.achievements,
       courses: user.courses,
       pointsHistory: user.pointsHistory.slice(-10), // Last 10 activities
@@ -188,7 +256,7 @@ export const getMe = asyncHandler(async (req, res) => {
 // @route   PUT /api/auth/profile
 // @access  Private
 export const updateProfile = asyncHandler(async (req, res) => {
-  const { name, bio, location, skills, avatar } = req.body;
+  const { name, bio, location, skills, avatar, privacySettings } = req.body;
 
   const user = await User.findById(req.user._id);
 
@@ -205,6 +273,12 @@ export const updateProfile = asyncHandler(async (req, res) => {
   if (location !== undefined) user.location = location;
   if (skills) user.skills = skills;
   if (avatar) user.avatar = avatar;
+  if (privacySettings?.showOnlineStatus !== undefined) {
+    user.privacySettings.showOnlineStatus = privacySettings.showOnlineStatus;
+  }
+  if (privacySettings?.directMessages !== undefined) {
+    user.privacySettings.directMessages = privacySettings.directMessages;
+  }
 
   await user.save();
 
@@ -227,6 +301,7 @@ export const updateProfile = asyncHandler(async (req, res) => {
       role: user.role,
       isOnline: user.isOnline,
       achievements: user.achievements,
+      privacySettings: user.privacySettings,
     },
   });
 });
@@ -235,14 +310,19 @@ export const updateProfile = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/logout
 // @access  Private
 export const logout = asyncHandler(async (req, res) => {
-  // Update user online status
+  // Only mark offline if no other tab/device still has a live socket
   const user = await User.findById(req.user._id);
   if (user) {
-    user.isOnline = false;
+    if (!isUserOnline(user._id)) user.isOnline = false;
     user.lastActive = new Date();
     await user.save();
   }
 
+  // End the server-side session for this device
+  if (req.tokenFamily) {
+    await Session.revokeFamily(req.tokenFamily, 'logout');
+  }
+
   res.status(200).json({
     success: true,
     message: 'Logged out successfully',
@@ -270,8 +350,175 @@ export const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out every device, then start a fresh session for this one
+  await Session.revokeAllForUser(user._id, 'password_changed');
+
+  await sendTokenResponse(user, 200, req, res, 'Password changed successfully');
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent',
+  };
+
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendPasswordResetEmail(user, resetToken);
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    resetPasswordToken: hashedToken,
+    resetPasswordExpire: { $gt: new Date() },
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset link is invalid or has expired',
+    });
+  }
+
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'password_changed');
+
+  await directLogActivity(user._id, 'user_password_change', 'Reset password via email link', { req });
+
   res.status(200).json({
     success: true,
-    message: 'Password changed successfully',
+    message: 'Password reset successfully. Please log in with your new password.',
   });
-});
\ No newline at end of file
+});
+
+// @desc    Verify email address with emailed token
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpire: { $gt: new Date() },
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired',
+    });
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+  });
+});
+
+// Minimum wait between verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN_MS = 2 * 60 * 1000;
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified',
+    });
+  }
+
+  const lastSentAt = user.emailVerificationSentAt?.getTime() || 0;
+  const retryAfterMs = lastSentAt + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+
+  if (retryAfterMs > 0) {
+    return res.status(429).json({
+      success: false,
+      message: 'Please wait before requesting another verification email',
+      retryAfter: Math.ceil(retryAfterMs / 1000),
+    });
+  }
+
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await sendEmailVerificationEmail(user, verificationToken);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent',
+  });
+});
+
+// @desc    Get active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.getActiveSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: sessions.map(session => ({
+      _id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      isCurrent: session.family === req.tokenFamily,
+    })),
+  });
+});
+
+// @desc    Revoke a session (sign out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  await Session.revokeFamily(session.family, 'user_revoked');
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully',
+  });
+});
@@ -1,7 +1,31 @@
+import crypto from 'crypto';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import Event from '../models/Event.js';
 import User from '../models/User.js';
-import { sendEventReminderEmail } from '../utils/emailService.js';
+import { processDueReminders } from '../utils/eventReminders.js';
+import { buildCalendar } from '../utils/icalendar.js';
+
+// How far back calendar feeds include past events
+const FEED_HISTORY_DAYS = 30;
+
+const getFeedStart = () => new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+const sendCalendar = (res, filename, calendar, disposition = 'inline') => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${filename}"`,
+    'Cache-Control': 'no-cache',
+  });
+  res.status(200).send(calendar);
+};
+
+const getFeedUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/feeds/users/${token}.ics`;
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:'),
+  };
+};
 
 // @desc    Sync with Google Calendar
 // @route   POST /api/calendar/sync
@@ -177,58 +201,159 @@ export const exportToGoogleCalendar = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Schedule event reminders
+// @desc    Send due event reminders now (the reminder scheduler also runs every minute)
 // @route   POST /api/calendar/schedule-reminders
 // @access  Private (Admin)
 export const scheduleEventReminders = asyncHandler(async (req, res) => {
-  try {
-    const upcomingEvents = await Event.find({
-      date: {
-        $gte: new Date(),
-        $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Next 7 days
-      },
-      status: 'scheduled',
-    }).populate('attendees.user', 'name email');
-
-    let remindersSent = 0;
-
-    for (const event of upcomingEvents) {
-      const eventDate = new Date(event.date);
-      const now = new Date();
-      const hoursUntilEvent = (eventDate.getTime() - now.getTime()) / (1000 * 60 * 60);
-
-      // Send reminder if event is 24 hours away (with 1 hour buffer)
-      if (hoursUntilEvent <= 25 && hoursUntilEvent >= 23) {
-        for (const attendee of event.attendees) {
-          if (attendee.status === 'going' && attendee.user) {
-            try {
-              await sendEventReminderEmail(attendee.user, event);
-              remindersSent++;
-            } catch (emailError) {
-              console.error(`Failed to send reminder to ${attendee.user.email}:`, emailError);
-            }
-          }
-        }
-      }
-    }
+  const { eventsChecked, remindersSent } = await processDueReminders();
+
+  res.status(200).json({
+    success: true,
+    message: `Processed ${eventsChecked} upcoming events`,
+    data: {
+      eventsChecked,
+      remindersSent,
+    },
+  });
+});
 
-    res.status(200).json({
-      success: true,
-      message: `Processed ${upcomingEvents.length} upcoming events`,
-      data: {
-        eventsChecked: upcomingEvents.length,
-        remindersSent,
-      },
+// @desc    Download an event as an .ics file
+// @route   GET /api/calendar/events/:eventId.ics
+// @access  Public
+export const downloadEventIcs = asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.eventId);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
     });
+  }
 
-  } catch (error) {
-    console.error('Event reminder scheduling error:', error);
-    res.status(500).json({
+  // A recurring series is downloaded with its RRULE and any changed occurrences
+  const occurrences = event.isSeries ? await Event.find({ series: event._id }) : [];
+
+  sendCalendar(
+    res,
+    `event-${event._id}.ics`,
+    buildCalendar(event.title, [event], { occurrences }),
+    'attachment'
+  );
+});
+
+// @desc    Community calendar feed (all events)
+// @route   GET /api/calendar/feeds/community.ics
+// @access  Public
+export const getCommunityFeed = asyncHandler(async (req, res) => {
+  const since = getFeedStart();
+
+  // Series are published with RRULEs; their occurrences only appear as exceptions
+  const events = await Event.find({
+    series: null,
+    $or: [
+      { isRecurring: { $ne: true }, date: { $gte: since } },
+      {
+        isRecurring: true,
+        $or: [
+          { 'recurringPattern.endDate': null },
+          { 'recurringPattern.endDate': { $gte: since } },
+        ],
+      },
+    ],
+  }).sort({ date: 1 });
+
+  const seriesIds = events.filter(event => event.isSeries).map(event => event._id);
+  const occurrences = seriesIds.length > 0
+    ? await Event.find({ series: { $in: seriesIds }, occurrenceDate: { $gte: since } })
+    : [];
+
+  sendCalendar(
+    res,
+    'youyesyou-community.ics',
+    buildCalendar('YOU YES YOU Community Events', events, { occurrences, since })
+  );
+});
+
+// @desc    Personal calendar feed (events the member RSVP'd to)
+// @route   GET /api/calendar/feeds/users/:token.ics
+// @access  Public (secret token)
+export const getUserFeed = asyncHandler(async (req, res) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+  const user = await User.findOne({ calendarFeedToken: hashedToken }).select('name');
+
+  if (!user) {
+    return res.status(404).json({
       success: false,
-      message: 'Reminder scheduling failed',
-      error: error.message,
+      message: 'Calendar feed not found',
     });
   }
+
+  // Cancelled events stay in the feed (as CANCELLED) so subscribed calendars remove them
+  const events = await Event.find({
+    attendees: {
+      $elemMatch: { user: user._id, status: { $in: ['going', 'maybe', 'waitlisted'] } },
+    },
+    date: { $gte: getFeedStart() },
+  }).sort({ date: 1 });
+
+  const statusFor = (event) => {
+    if (event.status === 'cancelled') return 'CANCELLED';
+    const rsvp = event.attendees.find(attendee => attendee.user.toString() === user._id.toString());
+    return rsvp?.status === 'going' ? 'CONFIRMED' : 'TENTATIVE';
+  };
+
+  sendCalendar(
+    res,
+    'youyesyou-my-events.ics',
+    buildCalendar(`YOU YES YOU - ${user.name}`, events, { statusFor })
+  );
+});
+
+// @desc    Get personal calendar feed status
+// @route   GET /api/calendar/feeds/me
+// @access  Private
+export const getMyFeed = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+calendarFeedToken calendarFeedCreatedAt');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      hasFeed: Boolean(user.calendarFeedToken),
+      createdAt: user.calendarFeedCreatedAt || null,
+    },
+  });
+});
+
+// @desc    Create (or replace) the personal calendar feed URL
+// @route   POST /api/calendar/feeds/me
+// @access  Private
+export const createMyFeed = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const feedToken = user.getCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Any previous feed URL no longer works.',
+    data: {
+      ...getFeedUrls(req, feedToken),
+      createdAt: user.calendarFeedCreatedAt,
+    },
+  });
+});
+
+// @desc    Revoke the personal calendar feed URL
+// @route   DELETE /api/calendar/feeds/me
+// @access  Private
+export const revokeMyFeed = asyncHandler(async (req, res) => {
+  await User.findByIdAndUpdate(req.user._id, {
+    $unset: { calendarFeedToken: 1, calendarFeedCreatedAt: 1 },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar feed revoked',
+  });
 });
 
 // Helper functions
@@ -275,4 +400,10 @@ export default {
   syncGoogleCalendar,
   exportToGoogleCalendar,
   scheduleEventReminders,
+  downloadEventIcs,
+  getCommunityFeed,
+  getUserFeed,
+  getMyFeed,
+  createMyFeed,
+  revokeMyFeed,
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+import Certificate from '../models/Certificate.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { renderCertificateHtml } from '../utils/certificateTemplate.js';
+
+// Load a certificate the current user is allowed to see (owner or admin)
+const findOwnCertificate = async (req, res) => {
+  const certificate = await Certificate.findById(req.params.id);
+
+  if (!certificate) {
+    res.status(404).json({
+      success: false,
+      message: 'Certificate not found',
+    });
+    return null;
+  }
+
+  if (certificate.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this certificate',
+    });
+    return null;
+  }
+
+  return certificate;
+};
+
+// @desc    Get current user's certificates
+// @route   GET /api/certificates
+// @access  Private
+export const getMyCertificates = asyncHandler(async (req, res) => {
+  const certificates = await Certificate.find({ user: req.user._id })
+    .sort({ issuedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: certificates,
+  });
+});
+
+// @desc    Get single certificate
+// @route   GET /api/certificates/:id
+// @access  Private (owner or admin)
+export const getCertificate = asyncHandler(async (req, res) => {
+  const certificate = await findOwnCertificate(req, res);
+  if (!certificate) return;
+
+  res.status(200).json({
+    success: true,
+    data: certificate,
+  });
+});
+
+// @desc    Download certificate as a printable HTML document
+// @route   GET /api/certificates/:id/download
+// @access  Private (owner or admin)
+export const downloadCertificate = asyncHandler(async (req, res) => {
+  const certificate = await findOwnCertificate(req, res);
+  if (!certificate) return;
+
+  const filename = `certificate-${certificate.code}.html`;
+  const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+
+  res.set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${filename}"`,
+  });
+  res.status(200).send(renderCertificateHtml(certificate));
+});
+
+// @desc    Verify a certificate by its code
+// @route   GET /api/certificates/verify/:code
+// @access  Public
+export const verifyCertificate = asyncHandler(async (req, res) => {
+  const certificate = await Certificate.findOne({ code: req.params.code.trim().toUpperCase() });
+
+  if (!certificate) {
+    return res.status(404).json({
+      success: false,
+      message: 'No certificate found with this code',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: certificate.isRevoked ? 'This certificate has been revoked' : 'Certificate is valid',
+    data: certificate.toPublicJSON(),
+  });
+});
+
+// @desc    Get all issued certificates
+// @route   GET /api/certificates/admin/all
+// @access  Private (Admin)
+export const getAllCertificates = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, courseId, search } = req.query;
+
+  const query = {};
+  if (courseId) query.course = courseId;
+  if (search) {
+    query.$or = [
+      { code: { $regex: search, $options: 'i' } },
+      { recipientName: { $regex: search, $options: 'i' } },
+      { courseTitle: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const certificates = await Certificate.find(query)
+    .populate('user', 'name username email')
+    .sort({ issuedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Certificate.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: certificates,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+  });
+});
+
+// @desc    Revoke a certificate
+// @route   PUT /api/certificates/:id/revoke
+// @access  Private (Admin)
+export const revokeCertificate = asyncHandler(async (req, res) => {
+  const certificate = await Certificate.findById(req.params.id);
+
+  if (!certificate) {
+    return res.status(404).json({
+      success: false,
+      message: 'Certificate not found',
+    });
+  }
+
+  if (certificate.isRevoked) {
+    return res.status(400).json({
+      success: false,
+      message: 'Certificate is already revoked',
+    });
+  }
+
+  certificate.isRevoked = true;
+  certificate.revokedAt = new Date();
+  certificate.revokedReason = req.body.reason;
+  certificate.revokedBy = req.user._id;
+  await certificate.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Certificate revoked',
+    data: certificate,
+  });
+});
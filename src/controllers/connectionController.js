@@ -1,5 +1,6 @@
 import Connection from '../models/Connection.js';
 import User from '../models/User.js';
+import Follow from '../models/Follow.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 // Note: io will be passed from server.js to avoid circular dependency
@@ -294,6 +295,9 @@ export const blockConnection = asyncHandler(async (req, res) => {
   connection.blockedAt = new Date();
   await connection.save();
 
+  // Blocking also ends any follows between the two members
+  await Follow.removeBetween(connection.requester, connection.recipient);
+
   // Emit real-time notification to requester if io is available
   if (io) {
     io.to(`user_${connection.requester._id}`).emit('connection_response', {
@@ -4,6 +4,23 @@ import Notification from '../models/Notification.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { moderateContent } from '../utils/moderationUtils.js';
 
+// Note: io will be passed from server.js to avoid circular dependency
+let io;
+
+export const setSocketIO = (socketInstance) => {
+  io = socketInstance;
+};
+
+// Broadcast approved feedback to everyone; unapproved feedback only reaches admins and its author
+const emitFeedbackEvent = (event, payload, feedback) => {
+  if (!io) return;
+  if (feedback.moderationStatus?.isApproved) {
+    io.emit(event, payload);
+  } else {
+    io.to('admins').to(`user_${feedback.author._id || feedback.author}`).emit(event, payload);
+  }
+};
+
 // @desc    Get all feedback with filters
 // @route   GET /api/feedback
 // @access  Private
@@ -238,6 +255,8 @@ export const createFeedback = asyncHandler(async (req, res) => {
     }
   }, 1000);
 
+  emitFeedbackEvent('feedback_created', feedback, feedback);
+
   res.status(201).json({
     success: true,
     message: 'Feedback submitted successfully',
@@ -315,6 +334,8 @@ export const updateFeedback = asyncHandler(async (req, res) => {
     { new: true, runValidators: true }
   ).populate('author', 'name username avatar');
 
+  emitFeedbackEvent('feedback_modified', updatedFeedback, updatedFeedback);
+
   res.status(200).json({
     success: true,
     message: 'Feedback updated successfully',
@@ -418,6 +439,8 @@ export const addResponse = asyncHandler(async (req, res) => {
 
   const newResponse = populatedFeedback.responses[populatedFeedback.responses.length - 1];
 
+  emitFeedbackEvent('response_added', { feedbackId: feedback._id, response: newResponse }, feedback);
+
   res.status(201).json({
     success: true,
     message: 'Response added successfully',
@@ -475,6 +498,14 @@ export const toggleFlag = asyncHandler(async (req, res) => {
     }
   }
 
+  if (io) {
+    io.to('admins').emit('flag_updated', {
+      feedbackId: feedback._id,
+      isFlagged,
+      flagCount: feedback.flaggedBy.length,
+    });
+  }
+
   res.status(200).json({
     success: true,
     message: isFlagged ? 'Feedback flagged' : 'Flag removed',
@@ -497,6 +528,14 @@ export const toggleBookmark = asyncHandler(async (req, res) => {
 
   const result = await feedback.toggleBookmark(req.user._id);
 
+  // Bookmarks are private, so only the user's own devices are told
+  if (io) {
+    const isBookmarked = result.bookmarkedBy.some(
+      bookmark => bookmark.user.toString() === req.user._id.toString()
+    );
+    io.to(`user_${req.user._id}`).emit('bookmark_updated', { feedbackId: feedback._id, isBookmarked });
+  }
+
   res.status(200).json({
     success: true,
     data: result
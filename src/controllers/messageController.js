@@ -2,13 +2,48 @@ import { Message, Conversation } from '../models/Message.js';
 import User from '../models/User.js';
 import Post from '../models/Post.js';
 import Report from '../models/Report.js';
+import Connection from '../models/Connection.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { v2 as cloudinary } from 'cloudinary';
-import { analyzeUserBehavior } from '../utils/moderationUtils.js';
+import { analyzeUserBehavior, moderateContent } from '../utils/moderationUtils.js';
+import {
+  emitToParticipants,
+  markConversationsDelivered,
+  markMessagesRead,
+  countUnreadMessages,
+  getReceiptStatus,
+} from '../utils/messageReceipts.js';
+import { getDirectMessageAccess, getSendAccess, getGroupAddAccess } from '../utils/messagingPrivacy.js';
 
 // Note: io will be passed from server.js to avoid circular dependency
 let io;
 
+// Largest group size (owner included)
+const MAX_GROUP_PARTICIPANTS = 100;
+
+// Accept a message request so it moves into the recipient's inbox (the caller saves the conversation)
+const acceptRequest = (conversation) => {
+  conversation.request.status = 'accepted';
+  conversation.request.respondedAt = new Date();
+};
+
+// Tell the member who sent a message request that it was accepted
+const emitRequestAccepted = (conversation) => {
+  if (io) {
+    io.to(`user_${conversation.request.requestedBy}`).emit('message_request_accepted', {
+      conversationId: conversation._id,
+    });
+  }
+};
+
+// Pending message requests a user received (requests from blocked members are left out)
+const pendingRequestsQuery = (userId, blockedIds = []) => ({
+  type: 'direct',
+  participants: { $elemMatch: { user: userId, isActive: true } },
+  'request.status': 'pending',
+  'request.requestedBy': { $nin: [userId, ...blockedIds] },
+});
+
 // @desc    Get user's conversations
 export const setSocketIO = (socketInstance) => {
   io = socketInstance;
@@ -19,41 +54,39 @@ export const setSocketIO = (socketInstance) => {
 export const getConversations = asyncHandler(async (req, res) => {
   const { page = 1, limit = 20 } = req.query;
 
-  const conversations = await Conversation.find({
-    'participants.user': req.user._id,
-    'participants.isActive': true,
-  })
+  // Message requests live in their own inbox, and direct chats with blocked members are hidden
+  const blockedIds = await Connection.getBlockedUserIds(req.user._id);
+  const query = {
+    participants: { $elemMatch: { user: req.user._id, isActive: true } },
+    $and: [
+      Conversation.excludeUnacceptedRequests(req.user._id),
+      { $nor: [{ type: 'direct', 'participants.user': { $in: blockedIds } }] },
+    ],
+  };
+
+  const conversations = await Conversation.find(query)
     .populate('participants.user', 'name username avatar isOnline lastActive')
     .populate('lastMessage')
     .sort({ lastActivity: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit);
 
-  // Calculate unread count for each conversation
+  // Unread counts come from the read receipts (messages after lastRead that aren't in readBy)
+  const unreadCounts = await countUnreadMessages(conversations, req.user._id);
   for (const conversation of conversations) {
-    const userParticipant = conversation.participants.find(
-      p => p.user._id.toString() === req.user._id.toString()
-    );
-
-    if (userParticipant) {
-      const unreadCount = await Message.countDocuments({
-        conversation: conversation._id,
-        createdAt: { $gt: userParticipant.lastRead },
-        sender: { $ne: req.user._id },
-      });
-
-      conversation._unreadCount = unreadCount;
-    }
+    conversation._unreadCount = unreadCounts.get(conversation._id.toString()) || 0;
   }
 
-  const total = await Conversation.countDocuments({
-    'participants.user': req.user._id,
-    'participants.isActive': true,
-  });
+  // Loading the inbox means the unread messages reached this member
+  await markConversationsDelivered(io, req.user._id, conversations);
+
+  const total = await Conversation.countDocuments(query);
+  const requestCount = await Conversation.countDocuments(pendingRequestsQuery(req.user._id, blockedIds));
 
   res.status(200).json({
     success: true,
     data: conversations,
+    requestCount,
     pagination: {
       current: parseInt(page),
       pages: Math.ceil(total / limit),
@@ -101,19 +134,28 @@ export const getConversationMessages = asyncHandler(async (req, res) => {
     .limit(limit * 1)
     .skip((page - 1) * limit);
 
-  // Mark conversation as read
-  await conversation.markAsRead(req.user._id);
+  // Mark conversation as read (fills readBy and tells the other participants)
+  await markMessagesRead(io, conversation, req.user._id);
 
   const total = await Message.countDocuments({
     conversation: req.params.id,
     isDeleted: false,
   });
 
+  // The current user's own messages get their receipt status (sent / delivered / read)
+  const messagesWithReceipts = messages.reverse().map(message => {
+    const isOwn = (message.sender?._id || message.sender)?.toString() === req.user._id.toString();
+    return {
+      ...message.toJSON(),
+      receiptStatus: isOwn && message.type !== 'system' ? getReceiptStatus(message, conversation) : undefined,
+    };
+  });
+
   res.status(200).json({
     success: true,
     data: {
       conversation,
-      messages: messages.reverse(), // Reverse to show oldest first
+      messages: messagesWithReceipts, // Oldest first
     },
     pagination: {
       current: parseInt(page),
@@ -153,6 +195,17 @@ export const sendMessage = asyncHandler(async (req, res) => {
     });
   }
 
+  // Blocks and message requests (direct conversations)
+  const access = await getSendAccess(conversation, req.user._id);
+
+  if (!access.allowed) {
+    return res.status(403).json({
+      success: false,
+      message: access.message,
+      code: access.code,
+    });
+  }
+
   // Create message
   const message = await Message.create({
     conversation: req.params.id,
@@ -162,23 +215,24 @@ export const sendMessage = asyncHandler(async (req, res) => {
     replyTo,
   });
 
-  // Update conversation last activity and message
+  // Update conversation last activity and message (replying to a message request accepts it)
   conversation.lastActivity = new Date();
   conversation.lastMessage = message._id;
+  if (access.acceptsRequest) acceptRequest(conversation);
   await conversation.save();
 
   // Populate sender info
   await message.populate('sender', 'name username avatar');
 
-  // Emit real-time message to conversation participants
-  conversation.participants.forEach(participant => {
-    if (participant.user._id.toString() !== req.user._id.toString()) {
-      io.to(`user_${participant.user._id}`).emit('new_message', {
-        conversationId: conversation._id,
-        message,
-      });
-    }
-  });
+  if (access.acceptsRequest) emitRequestAccepted(conversation);
+
+  // Emit real-time message to conversation participants (a pending request goes to the requests inbox).
+  // In groups, members blocked by or blocking the sender don't get it pushed.
+  const blockedIds = conversation.type === 'group' ? await Connection.getBlockedUserIds(req.user._id) : [];
+  emitToParticipants(io, conversation, access.isRequest ? 'message_request' : 'new_message', {
+    conversationId: conversation._id,
+    message,
+  }, { except: req.user._id, skip: blockedIds });
 
   // Analyze user behavior if content was flagged for high severity
   if (req.contentModeration?.flagged && req.contentModeration.severity >= 6) {
@@ -249,6 +303,17 @@ export const sendMessageWithFile = asyncHandler(async (req, res) => {
     });
   }
 
+  // Blocks and message requests (direct conversations; no files until a request is accepted)
+  const access = await getSendAccess(conversation, req.user._id, { isFile: true });
+
+  if (!access.allowed) {
+    return res.status(403).json({
+      success: false,
+      message: access.message,
+      code: access.code,
+    });
+  }
+
   try {
     // Upload file to Cloudinary
     const base64File = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
@@ -281,23 +346,23 @@ export const sendMessageWithFile = asyncHandler(async (req, res) => {
       mimeType: req.file.mimetype,
     });
 
-    // Update conversation last activity and message
+    // Update conversation last activity and message (replying to a message request accepts it)
     conversation.lastActivity = new Date();
     conversation.lastMessage = message._id;
+    if (access.acceptsRequest) acceptRequest(conversation);
     await conversation.save();
 
     // Populate sender info
     await message.populate('sender', 'name username avatar');
 
-    // Emit real-time message to conversation participants
-    conversation.participants.forEach(participant => {
-      if (participant.user._id.toString() !== req.user._id.toString()) {
-        io.to(`user_${participant.user._id}`).emit('new_message', {
-          conversationId: conversation._id,
-          message,
-        });
-      }
-    });
+    if (access.acceptsRequest) emitRequestAccepted(conversation);
+
+    // Emit real-time message to conversation participants (skipping blocked pairs in groups)
+    const blockedIds = conversation.type === 'group' ? await Connection.getBlockedUserIds(req.user._id) : [];
+    emitToParticipants(io, conversation, 'new_message', {
+      conversationId: conversation._id,
+      message,
+    }, { except: req.user._id, skip: blockedIds });
 
     res.status(201).json({
       success: true,
@@ -343,6 +408,17 @@ export const startConversation = asyncHandler(async (req, res) => {
     });
   }
 
+  // Blocks and the recipient's direct message setting
+  const access = await getDirectMessageAccess(req.user, recipient);
+
+  if (!access.allowed) {
+    return res.status(403).json({
+      success: false,
+      message: access.message,
+      code: access.code,
+    });
+  }
+
   // Check if conversation already exists
   const existingConversation = await Conversation.findOne({
     type: 'direct',
@@ -357,7 +433,7 @@ export const startConversation = asyncHandler(async (req, res) => {
     });
   }
 
-  // Create new conversation
+  // Create new conversation (a message request when the members aren't connected)
   const conversation = await Conversation.create({
     type: 'direct',
     participants: [
@@ -365,7 +441,9 @@ export const startConversation = asyncHandler(async (req, res) => {
       { user: recipientId },
     ],
     createdBy: req.user._id,
+    ...(access.asRequest && { request: { status: 'pending', requestedBy: req.user._id } }),
   });
+  const event = access.asRequest ? 'message_request' : 'new_conversation';
 
   // Send initial message if provided
   if (initialMessage) {
@@ -379,7 +457,7 @@ export const startConversation = asyncHandler(async (req, res) => {
     await conversation.save();
 
     // Emit real-time notification
-    io.to(`user_${recipientId}`).emit('new_conversation', {
+    io.to(`user_${recipientId}`).emit(event, {
       conversation,
       initialMessage: message,
     });
@@ -387,7 +465,7 @@ export const startConversation = asyncHandler(async (req, res) => {
 
   // Emit real-time notification if io is available and we're not already emitting from above
   if (io && !initialMessage) {
-    io.to(`user_${recipientId}`).emit('new_conversation', {
+    io.to(`user_${recipientId}`).emit(event, {
       conversation,
       initialMessage: null,
     });
@@ -397,11 +475,98 @@ export const startConversation = asyncHandler(async (req, res) => {
 
   res.status(201).json({
     success: true,
-    message: 'Conversation started successfully',
+    message: access.asRequest ? 'Message request sent' : 'Conversation started successfully',
+    data: conversation,
+  });
+});
+
+// @desc    Get message requests (direct conversations from members the user isn't connected with)
+// @route   GET /api/messages/requests
+// @access  Private
+export const getMessageRequests = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const blockedIds = await Connection.getBlockedUserIds(req.user._id);
+  const query = pendingRequestsQuery(req.user._id, blockedIds);
+
+  const requests = await Conversation.find(query)
+    .populate('participants.user', 'name username avatar isOnline lastActive')
+    .populate('lastMessage')
+    .sort({ lastActivity: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Conversation.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: requests,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+  });
+});
+
+// Load a pending message request sent to the current user (responds 404 and returns null otherwise)
+const findPendingRequest = async (req, res) => {
+  const blockedIds = await Connection.getBlockedUserIds(req.user._id);
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    ...pendingRequestsQuery(req.user._id, blockedIds),
+  });
+
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      message: 'Message request not found',
+    });
+    return null;
+  }
+
+  return conversation;
+};
+
+// @desc    Accept a message request (moves it into the inbox)
+// @route   PUT /api/messages/requests/:id/accept
+// @access  Private
+export const acceptMessageRequest = asyncHandler(async (req, res) => {
+  const conversation = await findPendingRequest(req, res);
+  if (!conversation) return;
+
+  acceptRequest(conversation);
+  await conversation.save();
+  await conversation.populate('participants.user', 'name username avatar isOnline');
+
+  emitRequestAccepted(conversation);
+
+  res.status(200).json({
+    success: true,
+    message: 'Message request accepted',
     data: conversation,
   });
 });
 
+// @desc    Decline a message request (the sender isn't told and can't send more messages)
+// @route   PUT /api/messages/requests/:id/decline
+// @access  Private
+export const declineMessageRequest = asyncHandler(async (req, res) => {
+  const conversation = await findPendingRequest(req, res);
+  if (!conversation) return;
+
+  conversation.request.status = 'declined';
+  conversation.request.respondedAt = new Date();
+  await conversation.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Message request declined',
+  });
+});
+
 // @desc    Delete message
 // @route   DELETE /api/messages/:id
 // @access  Private
@@ -498,11 +663,22 @@ export const markConversationAsRead = asyncHandler(async (req, res) => {
     });
   }
 
-  await conversation.markAsRead(req.user._id);
+  if (!conversation.getActiveParticipant(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this conversation',
+    });
+  }
+
+  // Read up to `messageId` if given, otherwise everything
+  const messageIds = await markMessagesRead(io, conversation, req.user._id, { upTo: req.body.messageId });
 
   res.status(200).json({
     success: true,
     message: 'Conversation marked as read',
+    data: {
+      markedRead: messageIds.length,
+    },
   });
 });
 
@@ -549,18 +725,12 @@ export const addReaction = asyncHandler(async (req, res) => {
   await message.save();
 
   // Emit reaction event to other participants
-  if (io) {
-    conversation.participants.forEach((participant) => {
-      if (participant.user.toString() !== req.user._id.toString()) {
-        io.to(`user_${participant.user}`).emit('message_reaction', {
-          messageId: message._id,
-          emoji,
-          userId: req.user._id,
-          action: existingIndex >= 0 ? 'removed' : 'added',
-        });
-      }
-    });
-  }
+  emitToParticipants(io, conversation, 'message_reaction', {
+    messageId: message._id,
+    emoji,
+    userId: req.user._id,
+    action: existingIndex >= 0 ? 'removed' : 'added',
+  }, { except: req.user._id });
 
   res.status(200).json({
     success: true,
@@ -619,4 +789,574 @@ export const getMessageHistory = asyncHandler(async (req, res) => {
       nextBefore: oldest ? oldest.createdAt : null,
     },
   });
-});
\ No newline at end of file
+});
+
+// Join names for system messages ("Ann", "Ann and Ben", "Ann, Ben and Cy")
+const joinNames = (users) => {
+  const names = users.map(user => user.name);
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+// Check group titles/descriptions against the community guidelines
+const violatesGuidelines = (...texts) => texts.some(text => (
+  typeof text === 'string' && text.length > 0 &&
+  moderateContent(text, { strictMode: false, contextAware: true }).shouldBlock
+));
+
+// Record a group change as a system message and send it to every active participant.
+// Saves the conversation too, including any changes made to it before the call.
+const postSystemMessage = async (conversation, actor, action, content, targets = []) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: actor._id,
+    content,
+    type: 'system',
+    systemEvent: {
+      action,
+      targets: targets.map(target => target._id || target),
+    },
+  });
+
+  conversation.lastActivity = new Date();
+  conversation.lastMessage = message._id;
+  await conversation.save();
+
+  await message.populate('sender', 'name username avatar');
+
+  emitToParticipants(io, conversation, 'new_message', {
+    conversationId: conversation._id,
+    message,
+  });
+  emitToParticipants(io, conversation, 'group_updated', {
+    conversationId: conversation._id,
+    action,
+    actorId: actor._id,
+    targets: message.systemEvent.targets,
+  });
+
+  return message;
+};
+
+// Find a group the current user is an active member of (sends the 404/403 response otherwise)
+const findGroupForMember = async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+
+  if (!conversation || conversation.type !== 'group') {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found',
+    });
+    return null;
+  }
+
+  if (!conversation.getActiveParticipant(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group',
+    });
+    return null;
+  }
+
+  return conversation;
+};
+
+const populateGroup = (conversation) => conversation.populate(
+  'participants.user',
+  'name username avatar isOnline lastActive'
+);
+
+// @desc    Create group conversation
+// @route   POST /api/messages/groups
+// @access  Private
+export const createGroupConversation = asyncHandler(async (req, res) => {
+  const { title, description, avatar, participantIds, settings = {} } = req.body;
+
+  const memberIds = [...new Set(participantIds.map(id => id.toString()))]
+    .filter(id => id !== req.user._id.toString());
+
+  if (memberIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Add at least one other member to the group',
+    });
+  }
+
+  if (memberIds.length + 1 > MAX_GROUP_PARTICIPANTS) {
+    return res.status(400).json({
+      success: false,
+      message: `Groups can have at most ${MAX_GROUP_PARTICIPANTS} members`,
+    });
+  }
+
+  if (violatesGuidelines(title, description)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Group name or description violates community guidelines',
+    });
+  }
+
+  const members = await User.find({ _id: { $in: memberIds }, isBanned: { $ne: true } }).select('name privacySettings');
+
+  if (members.length !== memberIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more members were not found',
+    });
+  }
+
+  // Blocks and the members' direct message settings
+  const access = await getGroupAddAccess(req.user, members);
+
+  if (!access.allowed) {
+    return res.status(403).json({
+      success: false,
+      message: access.message,
+      code: access.code,
+    });
+  }
+
+  const conversation = await Conversation.create({
+    type: 'group',
+    title,
+    description,
+    avatar,
+    settings: {
+      membersCanInvite: settings.membersCanInvite === true,
+      membersCanEditInfo: settings.membersCanEditInfo === true,
+    },
+    participants: [
+      { user: req.user._id, role: 'owner' },
+      ...members.map(member => ({ user: member._id })),
+    ],
+    createdBy: req.user._id,
+  });
+
+  await postSystemMessage(conversation, req.user, 'group_created', `${req.user.name} created the group "${title}"`, members);
+  await populateGroup(conversation);
+
+  // The group shows up in the members' conversation lists right away
+  if (io) {
+    members.forEach(member => {
+      io.to(`user_${member._id}`).emit('new_conversation', {
+        conversation,
+        initialMessage: null,
+      });
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Group created successfully',
+    data: conversation,
+  });
+});
+
+// @desc    Update group name, description or settings
+// @route   PUT /api/messages/groups/:id
+// @access  Private (group admins, or members if the group allows it)
+export const updateGroupConversation = asyncHandler(async (req, res) => {
+  const conversation = await findGroupForMember(req, res);
+  if (!conversation) return;
+
+  const { title, description, settings } = req.body;
+  const isAdmin = conversation.isGroupAdmin(req.user._id);
+
+  if (settings !== undefined && !isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group admins can change the group settings',
+    });
+  }
+
+  if ((title !== undefined || description !== undefined) && !isAdmin && !conversation.settings?.membersCanEditInfo) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group admins can change the group info',
+    });
+  }
+
+  if (violatesGuidelines(title, description)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Group name or description violates community guidelines',
+    });
+  }
+
+  const changes = [];
+
+  if (title !== undefined && title !== conversation.title) {
+    conversation.title = title;
+    changes.push(['group_renamed', `${req.user.name} renamed the group to "${title}"`]);
+  }
+
+  if (description !== undefined && description !== (conversation.description || '')) {
+    conversation.description = description || undefined;
+    changes.push([
+      'description_changed',
+      description ? `${req.user.name} updated the group description` : `${req.user.name} removed the group description`,
+    ]);
+  }
+
+  if (settings) {
+    const changedSettings = ['membersCanInvite', 'membersCanEditInfo'].filter(
+      key => settings[key] !== undefined && settings[key] !== conversation.settings[key]
+    );
+    changedSettings.forEach(key => {
+      conversation.settings[key] = settings[key];
+    });
+    if (changedSettings.length > 0) {
+      changes.push(['settings_changed', `${req.user.name} changed the group settings`]);
+    }
+  }
+
+  for (const [action, content] of changes) {
+    await postSystemMessage(conversation, req.user, action, content);
+  }
+
+  await populateGroup(conversation);
+
+  res.status(200).json({
+    success: true,
+    message: changes.length > 0 ? 'Group updated successfully' : 'No changes to save',
+    data: conversation,
+  });
+});
+
+// @desc    Change group avatar (image upload or avatarUrl)
+// @route   PUT /api/messages/groups/:id/avatar
+// @access  Private (group admins, or members if the group allows it)
+export const updateGroupAvatar = asyncHandler(async (req, res) => {
+  const conversation = await findGroupForMember(req, res);
+  if (!conversation) return;
+
+  if (!conversation.isGroupAdmin(req.user._id) && !conversation.settings?.membersCanEditInfo) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group admins can change the group photo',
+    });
+  }
+
+  let avatar = req.body.avatarUrl;
+
+  if (req.file) {
+    try {
+      const base64File = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+      const uploadResult = await cloudinary.uploader.upload(base64File, {
+        folder: 'youyesyou/groups',
+        public_id: `group_${conversation._id}_${Date.now()}`,
+      });
+      avatar = uploadResult.secure_url;
+    } catch (error) {
+      console.error('Group avatar upload error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload file',
+      });
+    }
+  }
+
+  if (!avatar) {
+    return res.status(400).json({
+      success: false,
+      message: 'An avatar image or avatarUrl is required',
+    });
+  }
+
+  conversation.avatar = avatar;
+  await postSystemMessage(conversation, req.user, 'avatar_changed', `${req.user.name} changed the group photo`);
+  await populateGroup(conversation);
+
+  res.status(200).json({
+    success: true,
+    message: 'Group photo updated successfully',
+    data: conversation,
+  });
+});
+
+// @desc    Add members to a group
+// @route   POST /api/messages/groups/:id/members
+// @access  Private (group admins, or members if the group allows it)
+export const addGroupMembers = asyncHandler(async (req, res) => {
+  const conversation = await findGroupForMember(req, res);
+  if (!conversation) return;
+
+  if (!conversation.isGroupAdmin(req.user._id) && !conversation.settings?.membersCanInvite) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group admins can add members',
+    });
+  }
+
+  const userIds = [...new Set(req.body.userIds.map(id => id.toString()))];
+  const users = await User.find({ _id: { $in: userIds }, isBanned: { $ne: true } }).select('name privacySettings');
+
+  if (users.length !== userIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more members were not found',
+    });
+  }
+
+  const newcomers = users.filter(user => !conversation.getActiveParticipant(user._id));
+
+  if (newcomers.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Everyone is already in the group',
+    });
+  }
+
+  // Blocks and the new members' direct message settings
+  const access = await getGroupAddAccess(req.user, newcomers);
+
+  if (!access.allowed) {
+    return res.status(403).json({
+      success: false,
+      message: access.message,
+      code: access.code,
+    });
+  }
+
+  if (conversation.getActiveParticipants().length + newcomers.length > MAX_GROUP_PARTICIPANTS) {
+    return res.status(400).json({
+      success: false,
+      message: `Groups can have at most ${MAX_GROUP_PARTICIPANTS} members`,
+    });
+  }
+
+  conversation.addParticipants(newcomers.map(user => user._id));
+  await postSystemMessage(conversation, req.user, 'members_added', `${req.user.name} added ${joinNames(newcomers)}`, newcomers);
+  await populateGroup(conversation);
+
+  if (io) {
+    newcomers.forEach(user => {
+      io.to(`user_${user._id}`).emit('new_conversation', {
+        conversation,
+        initialMessage: null,
+      });
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${newcomers.length} member${newcomers.length === 1 ? '' : 's'} added`,
+    data: conversation,
+  });
+});
+
+// @desc    Remove a member from a group
+// @route   DELETE /api/messages/groups/:id/members/:userId
+// @access  Private (group admins; only the owner can remove admins)
+export const removeGroupMember = asyncHandler(async (req, res) => {
+  const conversation = await findGroupForMember(req, res);
+  if (!conversation) return;
+
+  const { userId } = req.params;
+
+  if (userId === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Use leave to leave the group',
+    });
+  }
+
+  if (!conversation.isGroupAdmin(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group admins can remove members',
+    });
+  }
+
+  const member = conversation.getActiveParticipant(userId);
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found in this group',
+    });
+  }
+
+  if (member.role === 'owner') {
+    return res.status(403).json({
+      success: false,
+      message: 'The group owner cannot be removed',
+    });
+  }
+
+  if (member.role === 'admin' && conversation.getActiveParticipant(req.user._id).role !== 'owner') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the group owner can remove admins',
+    });
+  }
+
+  const user = await User.findById(userId).select('name');
+
+  conversation.removeParticipant(userId);
+  await postSystemMessage(conversation, req.user, 'member_removed', `${req.user.name} removed ${user?.name || 'a member'}`, [userId]);
+  await populateGroup(conversation);
+
+  if (io) {
+    io.to(`user_${userId}`).emit('group_removed', {
+      conversationId: conversation._id,
+      removedBy: req.user._id,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Member removed from the group',
+    data: conversation,
+  });
+});
+
+// @desc    Leave a group (an owner's role passes to the longest-serving admin, or member)
+// @route   POST /api/messages/groups/:id/leave
+// @access  Private
+export const leaveGroup = asyncHandler(async (req, res) => {
+  const conversation = await findGroupForMember(req, res);
+  if (!conversation) return;
+
+  const wasOwner = conversation.getActiveParticipant(req.user._id).role === 'owner';
+  conversation.removeParticipant(req.user._id);
+
+  const remaining = conversation.getActiveParticipants();
+  if (remaining.length === 0) {
+    conversation.isArchived = true;
+  }
+
+  await postSystemMessage(conversation, req.user, 'member_left', `${req.user.name} left the group`, [req.user._id]);
+
+  if (wasOwner && remaining.length > 0) {
+    const [successor] = [...remaining].sort((a, b) => (
+      (a.role === 'admin' ? 0 : 1) - (b.role === 'admin' ? 0 : 1) || a.joinedAt - b.joinedAt
+    ));
+    successor.role = 'owner';
+
+    const user = await User.findById(successor.user).select('name');
+    await postSystemMessage(conversation, req.user, 'owner_changed', `${user?.name || 'A member'} is now the group owner`, [successor.user]);
+  }
+
+  // Let the leaver's other devices drop the group too
+  if (io) {
+    io.to(`user_${req.user._id}`).emit('group_removed', {
+      conversationId: conversation._id,
+      removedBy: req.user._id,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'You left the group',
+  });
+});
+
+// @desc    Transfer group ownership (the previous owner becomes an admin)
+// @route   PUT /api/messages/groups/:id/owner
+// @access  Private (group owner)
+export const transferGroupOwnership = asyncHandler(async (req, res) => {
+  const conversation = await findGroupForMember(req, res);
+  if (!conversation) return;
+
+  const { userId } = req.body;
+  const owner = conversation.getActiveParticipant(req.user._id);
+
+  if (owner.role !== 'owner') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the group owner can transfer ownership',
+    });
+  }
+
+  if (userId === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You already own this group',
+    });
+  }
+
+  const member = conversation.getActiveParticipant(userId);
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found in this group',
+    });
+  }
+
+  const user = await User.findById(userId).select('name');
+
+  owner.role = 'admin';
+  member.role = 'owner';
+  await postSystemMessage(conversation, req.user, 'owner_changed', `${req.user.name} made ${user?.name || 'a member'} the group owner`, [userId]);
+  await populateGroup(conversation);
+
+  res.status(200).json({
+    success: true,
+    message: 'Group ownership transferred',
+    data: conversation,
+  });
+});
+
+// @desc    Make a member a group admin, or back to a member
+// @route   PUT /api/messages/groups/:id/members/:userId/role
+// @access  Private (group owner)
+export const updateGroupMemberRole = asyncHandler(async (req, res) => {
+  const conversation = await findGroupForMember(req, res);
+  if (!conversation) return;
+
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (conversation.getActiveParticipant(req.user._id).role !== 'owner') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the group owner can change member roles',
+    });
+  }
+
+  const member = conversation.getActiveParticipant(userId);
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found in this group',
+    });
+  }
+
+  if (member.role === 'owner') {
+    return res.status(400).json({
+      success: false,
+      message: 'Transfer ownership to change the owner\'s role',
+    });
+  }
+
+  if (member.role === role) {
+    return res.status(400).json({
+      success: false,
+      message: `Member is already ${role === 'admin' ? 'an admin' : 'a member'}`,
+    });
+  }
+
+  const user = await User.findById(userId).select('name');
+  const name = user?.name || 'a member';
+
+  member.role = role;
+  await postSystemMessage(
+    conversation,
+    req.user,
+    'role_changed',
+    role === 'admin'
+      ? `${req.user.name} made ${name} a group admin`
+      : `${req.user.name} removed ${name} as a group admin`,
+    [userId]
+  );
+  await populateGroup(conversation);
+
+  res.status(200).json({
+    success: true,
+    message: 'Member role updated',
+    data: conversation,
+  });
+});
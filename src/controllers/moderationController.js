@@ -1,6 +1,7 @@
 import Report from '../models/Report.js';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { Message } from '../models/Message.js';
 import Notification from '../models/Notification.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
@@ -571,7 +572,7 @@ export const handleReport = asyncHandler(async (req, res) => {
       break;
 
     case 'require_approval':
-      await handleApprovalRequirement(report.reportedUser, req.user._id, reason);
+      await handleApprovalRequirement(report.reportedUser, req.user._id, reason, duration);
       report.status = 'resolved';
       await report.resolve(req.user._id, 'User requires approval', reason);
       break;
@@ -614,7 +615,7 @@ export const handleReport = asyncHandler(async (req, res) => {
       break;
 
     case 'require_approval':
-      await handleApprovalRequirement(report.reportedUser, req.user._id, reason);
+      await handleApprovalRequirement(report.reportedUser, req.user._id, reason, duration);
       report.status = 'resolved';
       await report.resolve(req.user._id, 'User requires approval', reason);
       break;
@@ -1092,6 +1093,8 @@ const handleUserBan = async (user, moderatorId, reason) => {
   user.moderationStatus.isBanned = true;
   user.moderationStatus.bannedAt = new Date();
   await user.save();
+
+  await Session.revokeAllForUser(user._id, 'banned');
 };
 
 const handleShadowBan = async (user, moderatorId, reason, duration) => {
@@ -1136,21 +1139,27 @@ const handlePostingRestriction = async (user, moderatorId, reason, duration) =>
   await user.save();
 };
 
-const handleApprovalRequirement = async (user, moderatorId, reason) => {
+const handleApprovalRequirement = async (user, moderatorId, reason, duration) => {
   if (!user) return;
 
   if (!user.moderationStatus) {
     user.moderationStatus = { warnings: [], warningCount: 0 };
   }
 
+  // Without a duration the requirement stays until a moderator lifts it
+  const expiresAt = duration ? new Date(Date.now() + duration * 24 * 60 * 60 * 1000) : undefined;
+
   user.moderationStatus.warnings.push({
     type: 'approval_required',
     reason,
     issuedBy: moderatorId,
     issuedAt: new Date(),
+    expiresAt,
+    ...(duration && { duration: `${duration} days` }),
   });
 
   user.moderationStatus.requiresApproval = true;
+  user.moderationStatus.requiresApprovalExpiresAt = expiresAt;
   await user.save();
 };
 
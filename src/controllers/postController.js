@@ -1,7 +1,50 @@
 import Post from '../models/Post.js';
 import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Connection from '../models/Connection.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
+// Note: io will be passed from server.js to avoid circular dependency
+let io;
+
+export const setSocketIO = (socketInstance) => {
+  io = socketInstance;
+};
+
+// Broadcast a post event to everyone, or only to the author when the content is not publicly visible
+// (pending approval or shadow banned author)
+const emitPostEvent = (event, payload, { author, isVisible }) => {
+  if (!io) return;
+  if (isVisible) {
+    io.emit(event, payload);
+  } else {
+    io.to(`user_${author._id || author}`).emit(event, payload);
+  }
+};
+
+// Hide comments from shadow banned authors and unapproved comments from everyone but their author/admins
+const filterVisibleComments = (comments = [], viewer, hiddenAuthorIds) => {
+  const hidden = new Set(hiddenAuthorIds.map(id => id.toString()));
+  const viewerId = viewer?._id?.toString();
+
+  return comments.filter(comment => {
+    const authorId = (comment.user?._id || comment.user)?.toString();
+    if (hidden.has(authorId)) return false;
+    if (comment.isApproved === false) {
+      return viewer?.role === 'admin' || authorId === viewerId;
+    }
+    return true;
+  });
+};
+
+// Response for members whose posting privileges are restricted
+const postingRestrictedResponse = (user) => ({
+  success: false,
+  code: 'POSTING_RESTRICTED',
+  message: 'Your posting privileges are temporarily restricted',
+  expiresAt: user.moderationStatus?.postingRestrictionExpiresAt || null,
+});
+
 // @desc    Get all posts
 // @route   GET /api/posts
 // @access  Public
@@ -12,12 +55,40 @@ export const getPosts = asyncHandler(async (req, res) => {
     category,
     search,
     tags,
-    sortBy = 'latest'
+    sortBy = 'latest',
+    feed
   } = req.query;
 
   // Build query
   const query = { isApproved: true };
 
+  // Content from shadow banned members is only visible to themselves
+  const hiddenAuthorIds = await User.getShadowBannedIds(req.user);
+  if (hiddenAuthorIds.length > 0) {
+    query.author = { $nin: hiddenAuthorIds };
+  }
+
+  // Following feed: posts from followed (unmuted) members, accepted connections and the viewer
+  if (feed === 'following') {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in to see your following feed',
+      });
+    }
+
+    const [followingIds, connectedIds, blockedIds] = await Promise.all([
+      Follow.getFollowingIds(req.user._id, { includeMuted: false }),
+      Connection.getConnectedUserIds(req.user._id),
+      Connection.getBlockedUserIds(req.user._id),
+    ]);
+    const excludedIds = new Set([...hiddenAuthorIds, ...blockedIds].map(id => id.toString()));
+    const authorIds = [...followingIds, ...connectedIds, req.user._id]
+      .filter(id => !excludedIds.has(id.toString()));
+
+    query.author = { $in: authorIds };
+  }
+
   if (category && category !== 'all') {
     query.category = category;
   }
@@ -61,6 +132,7 @@ export const getPosts = asyncHandler(async (req, res) => {
 
   // Add virtual fields manually since we're using lean()
   posts.forEach(post => {
+    post.comments = filterVisibleComments(post.comments, req.user, hiddenAuthorIds);
     post.likesCount = post.likes ? post.likes.length : 0;
     post.commentsCount = post.comments ? post.comments.length : 0;
     post.bookmarksCount = post.bookmarks ? post.bookmarks.length : 0;
@@ -108,6 +180,20 @@ export const getPost = asyncHandler(async (req, res) => {
     });
   }
 
+  // Shadow banned and unapproved posts are only visible to their author and admins
+  const hiddenAuthorIds = await User.getShadowBannedIds(req.user);
+  const isOwnerOrAdmin = req.user && (
+    req.user.role === 'admin' || req.user._id.toString() === post.author?._id?.toString()
+  );
+  const isHiddenAuthor = hiddenAuthorIds.some(id => id.toString() === post.author?._id?.toString());
+
+  if ((isHiddenAuthor || !post.isApproved) && !isOwnerOrAdmin) {
+    return res.status(404).json({
+      success: false,
+      message: 'Post not found',
+    });
+  }
+
   // Increment view count
   post.viewCount += 1;
   await post.save();
@@ -124,6 +210,7 @@ export const getPost = asyncHandler(async (req, res) => {
     success: true,
     data: {
       ...post.toJSON(),
+      comments: filterVisibleComments(post.toJSON().comments, req.user, hiddenAuthorIds),
       isLikedByUser,
       isBookmarkedByUser,
     },
@@ -136,6 +223,10 @@ export const getPost = asyncHandler(async (req, res) => {
 export const createPost = asyncHandler(async (req, res) => {
   const { content, category, tags, images } = req.body;
 
+  if (req.user.isPostingRestricted()) {
+    return res.status(403).json(postingRestrictedResponse(req.user));
+  }
+
   // Normalize images from client: accept array of strings or objects
   let normalizedImages = [];
   if (Array.isArray(images)) {
@@ -159,7 +250,8 @@ export const createPost = asyncHandler(async (req, res) => {
     category,
     tags: tags || [],
     images: normalizedImages,
-    isApproved: !req.contentModeration?.flagged, // Use middleware result
+    // Flagged content and members under approval requirement go to the pending queue
+    isApproved: !req.contentModeration?.flagged && !req.user.requiresContentApproval(),
   });
 
   // Award points for creating post
@@ -172,10 +264,15 @@ export const createPost = asyncHandler(async (req, res) => {
   // Populate author info
   await post.populate('author', 'name username avatar level isOnline');
 
+  emitPostEvent('post_created', post, {
+    author: req.user._id,
+    isVisible: post.isApproved && !req.user.isShadowBanned(),
+  });
+
   res.status(201).json({
     success: true,
-    message: req.contentModeration?.flagged
-      ? 'Post submitted for review due to content flags'
+    message: !post.isApproved
+      ? 'Post submitted for review'
       : 'Post created successfully',
     data: post,
   });
@@ -212,6 +309,12 @@ export const updatePost = asyncHandler(async (req, res) => {
   await post.save();
   await post.populate('author', 'name username avatar level isOnline');
 
+  const authorIsHidden = (await User.getShadowBannedIds()).some(id => id.toString() === post.author._id.toString());
+  emitPostEvent('post_updated', post, {
+    author: post.author,
+    isVisible: post.isApproved && !authorIsHidden,
+  });
+
   res.status(200).json({
     success: true,
     message: 'Post updated successfully',
@@ -242,6 +345,9 @@ export const deletePost = asyncHandler(async (req, res) => {
 
   await Post.findByIdAndDelete(req.params.id);
 
+  // Removing a post is safe to announce to everyone
+  emitPostEvent('post_deleted', { postId: post._id }, { author: post.author, isVisible: true });
+
   res.status(200).json({
     success: true,
     message: 'Post deleted successfully',
@@ -269,6 +375,11 @@ export const toggleLike = asyncHandler(async (req, res) => {
     await req.user.addPoints(1, 'Liked post');
   }
 
+  emitPostEvent('post_liked', { postId: post._id, likesCount: post.likesCount }, {
+    author: post.author,
+    isVisible: post.isApproved,
+  });
+
   res.status(200).json({
     success: true,
     message: isLiked ? 'Post liked' : 'Post unliked',
@@ -308,6 +419,10 @@ export const toggleBookmark = asyncHandler(async (req, res) => {
 export const addComment = asyncHandler(async (req, res) => {
   const { content } = req.body;
 
+  if (req.user.isPostingRestricted()) {
+    return res.status(403).json(postingRestrictedResponse(req.user));
+  }
+
   const post = await Post.findById(req.params.id);
 
   if (!post) {
@@ -322,6 +437,7 @@ export const addComment = asyncHandler(async (req, res) => {
     user: req.user._id,
     content, // Content already cleaned by middleware
     timestamp: new Date(),
+    isApproved: !req.user.requiresContentApproval(),
   };
 
   post.comments.push(comment);
@@ -336,11 +452,18 @@ export const addComment = asyncHandler(async (req, res) => {
   // Get the newly added comment
   const newComment = post.comments[post.comments.length - 1];
 
+  emitPostEvent('comment_added', { postId: post._id, comment: newComment }, {
+    author: req.user._id,
+    isVisible: post.isApproved && newComment.isApproved && !req.user.isShadowBanned(),
+  });
+
   res.status(201).json({
     success: true,
-    message: req.contentModeration?.flagged
-      ? 'Comment added (content filtered)'
-      : 'Comment added successfully',
+    message: !newComment.isApproved
+      ? 'Comment submitted for review'
+      : req.contentModeration?.flagged
+        ? 'Comment added (content filtered)'
+        : 'Comment added successfully',
     data: newComment,
   });
 });
@@ -423,6 +546,8 @@ export const deleteComment = asyncHandler(async (req, res) => {
   post.comments.pull(commentId);
   await post.save();
 
+  emitPostEvent('comment_deleted', { postId: post._id, commentId }, { author: comment.user, isVisible: true });
+
   res.status(200).json({
     success: true,
     message: 'Comment deleted successfully',
@@ -1,7 +1,9 @@
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { generateAccessToken, verifyRefreshToken } from '../utils/generateToken.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
 
-// @desc    Refresh access token
+// @desc    Refresh access token (rotates the refresh token)
 // @route   POST /api/auth/refresh
 // @access  Public (requires refresh token)
 export const refresh = asyncHandler(async (req, res) => {
@@ -9,11 +11,51 @@ export const refresh = asyncHandler(async (req, res) => {
   if (!refreshToken) {
     return res.status(401).json({ success: false, message: 'No refresh token provided' });
   }
+  let decoded;
   try {
-    const decoded = verifyRefreshToken(refreshToken);
-    const newAccess = generateAccessToken(decoded.id);
-    return res.status(200).json({ success: true, token: newAccess });
+    decoded = verifyRefreshToken(refreshToken);
   } catch (err) {
     return res.status(401).json({ success: false, message: 'Invalid refresh token' });
   }
+
+  const session = await Session.findByToken(refreshToken);
+  if (!session || session.user.toString() !== decoded.id) {
+    return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+  }
+
+  // A rotated token being presented again means it was stolen: revoke the whole login
+  if (session.revokedAt) {
+    if (session.revokedReason === 'rotated') {
+      await Session.revokeFamily(session.family, 'reuse_detected');
+      console.warn('⚠️ Refresh token reuse detected', { userId: decoded.id, family: session.family });
+    }
+    return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+  }
+
+  if (session.expiresAt <= new Date()) {
+    return res.status(401).json({ success: false, message: 'Refresh token expired' });
+  }
+
+  // Tokens issued before the last password change/reset are no longer valid
+  const user = await User.findById(decoded.id).select('passwordChangedAt');
+  if (!user || user.changedPasswordAfter(decoded.iat)) {
+    await Session.revokeFamily(session.family, 'password_changed');
+    return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+  }
+
+  // Claim the old token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await Session.findOneAndUpdate(
+    { _id: session._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() }
+  );
+  if (!claimed) {
+    await Session.revokeFamily(session.family, 'reuse_detected');
+    return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+  }
+
+  const { refreshToken: newRefreshToken, session: newSession } = await Session.issue(decoded.id, req, session.family);
+  await Session.updateOne({ _id: session._id }, { replacedBy: newSession._id });
+
+  const newAccess = generateAccessToken(decoded.id, session.family);
+  return res.status(200).json({ success: true, token: newAccess, refreshToken: newRefreshToken });
 });
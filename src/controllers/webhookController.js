@@ -177,11 +177,12 @@ const processNewMemberWebhook = async (data) => {
 };
 
 const processCourseCompletedWebhook = async (data) => {
-  const { userId, courseId, courseTitle, completionDate } = data;
+  const { userId, courseId, courseTitle, completionDate, certificateCode, verificationUrl } = data;
 
   const results = [];
 
-  // Trigger certificate generation
+  // Certificates are issued by the platform (see Certificate model); forward the record
+  // to an external certificate service if one is still configured
   if (process.env.CERTIFICATE_WEBHOOK_URL) {
     try {
       const user = await User.findById(userId);
@@ -192,6 +193,8 @@ const processCourseCompletedWebhook = async (data) => {
           userName: user.name,
           courseTitle,
           completionDate,
+          certificateCode,
+          verificationUrl,
           certificateType: 'course_completion',
         }),
       });
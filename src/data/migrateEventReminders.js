@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Event from '../models/Event.js';
+
+dotenv.config();
+
+// One-off migration: events saved before reminders had a default (1day and 1hour) have an empty
+// reminders list, so the reminder scheduler never picks them up. Run once when upgrading; running it
+// later would also re-enable reminders on events an admin saved with reminders turned off.
+const migrateEventReminders = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected for migration');
+
+    const updated = await Event.armDefaultReminders();
+    console.log(`⏰ Added default reminders to ${updated} upcoming events`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run migration if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateEventReminders();
+}
+
+export default migrateEventReminders;
@@ -120,7 +120,7 @@ export const logModuleCompleted = asyncHandler(async (req, res, next) => {
 export const logEventJoined = asyncHandler(async (req, res, next) => {
   const originalJson = res.json;
   res.json = async function(data) {
-    if (data.success && data.data && req.user && req.body.status === 'going') {
+    if (data.success && data.data && req.user && data.data.status === 'going') {
       const Event = (await import('../models/Event.js')).default;
       const event = await Event.findById(req.params.id);
       await directLogActivity(req.user._id, 'event_rsvp', `RSVP'd to event: ${event?.title}`, {
@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { expireStaleRestrictions, getAccountStanding, standingErrorResponse } from '../utils/accountStanding.js';
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -21,7 +23,15 @@ export const authenticate = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+
+      // Reject access tokens whose login session has been revoked
+      if (decoded.fam && !(await Session.isFamilyActive(decoded.fam))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.',
+        });
+      }
+
       // Get user from database
       const user = await User.findById(decoded.id).select('-password');
       
@@ -32,13 +42,22 @@ export const authenticate = async (req, res, next) => {
         });
       }
 
-      // Update last active
+      // Block banned or suspended accounts (expired suspensions are cleared here)
+      const restrictionsExpired = expireStaleRestrictions(user);
+      const standing = getAccountStanding(user);
+
+      if (!standing.allowed) {
+        if (restrictionsExpired) await user.save();
+        return res.status(403).json(standingErrorResponse(standing));
+      }
+
+      // Update last active (online status is tracked by socket connections)
       user.lastActive = new Date();
-      user.isOnline = true;
       await user.save();
 
       // Add user to request
       req.user = user;
+      req.tokenFamily = decoded.fam;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -86,10 +105,12 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const sessionActive = !decoded.fam || await Session.isFamilyActive(decoded.fam);
+        const user = sessionActive ? await User.findById(decoded.id).select('-password') : null;
         
-        if (user) {
+        if (user && getAccountStanding(user).allowed) {
           req.user = user;
+          req.tokenFamily = decoded.fam;
         }
       } catch (error) {
         // Token is invalid, but we continue without user
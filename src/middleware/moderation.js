@@ -1,5 +1,7 @@
 import { moderateContent } from '../utils/moderationUtils.js';
 import { isImageExplicit } from '../services/imageModeration.js';
+import AdminSettings from '../models/AdminSettings.js';
+import { getAccountStanding, standingErrorResponse } from '../utils/accountStanding.js';
 
 // Middleware to moderate content before it's saved
 export const moderateContentMiddleware = (contentField = 'content') => {
@@ -302,40 +304,42 @@ export const checkUserStatus = async (req, res, next) => {
       return next(); // Let auth middleware handle this
     }
 
-    // Check for active ban
-    const activeBan = user.warnings?.find(warning =>
-      warning.type === 'banned' && warning.isActive
-    );
+    const standing = getAccountStanding(user);
 
-    if (activeBan) {
-      return res.status(403).json({
-        success: false,
-        message: 'Account is banned from posting content',
-        reason: activeBan.reason,
-        bannedAt: activeBan.issuedAt,
-      });
+    if (!standing.allowed) {
+      return res.status(403).json(standingErrorResponse(standing));
     }
 
-    // Check for active suspension
-    const activeSuspension = user.warnings?.find(warning =>
-      warning.type === 'suspension' &&
-      warning.isActive &&
-      warning.expiresAt > new Date()
-    );
+    // User is in good standing
+    next();
+  } catch (error) {
+    console.error('Error checking user status:', error);
+    next();
+  }
+};
+
+// Middleware to block posting/messaging until email is verified (when enabled in moderation settings)
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = req.user;
 
-    if (activeSuspension) {
+    if (!user || user.emailVerified || user.role === 'admin') {
+      return next();
+    }
+
+    const moderationSettings = await AdminSettings.getByCategory('moderation');
+
+    if (moderationSettings?.settings?.requireEmailVerification) {
       return res.status(403).json({
         success: false,
-        message: 'Account is temporarily suspended from posting',
-        reason: activeSuspension.reason,
-        expiresAt: activeSuspension.expiresAt,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before posting or sending messages',
       });
     }
 
-    // User is in good standing
     next();
   } catch (error) {
-    console.error('Error checking user status:', error);
+    console.error('Error checking email verification:', error);
     next();
   }
 };
@@ -372,5 +376,6 @@ export default {
   moderateCommentContent,
   moderateMessageContent,
   checkUserStatus,
+  requireVerifiedEmail,
   logModerationAction,
 };
\ No newline at end of file
@@ -0,0 +1,62 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { expireStaleRestrictions, getAccountStanding, standingErrorResponse } from '../utils/accountStanding.js';
+
+// Build a Socket.IO handshake error; `data` is delivered to the client's connect_error handler
+const socketError = (message, data = { success: false, message }) => {
+  const error = new Error(message);
+  error.data = data;
+  return error;
+};
+
+// Read the access token from `auth.token` or a Bearer authorization header
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return auth.token;
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Socket.IO middleware: verifies the JWT and the account standing during the handshake
+export const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+
+  if (!token) {
+    return next(socketError('Authentication required'));
+  }
+
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(socketError('Invalid token'));
+    }
+
+    if (decoded.fam && !(await Session.isFamilyActive(decoded.fam))) {
+      return next(socketError('Session has been revoked'));
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) {
+      return next(socketError('User no longer exists'));
+    }
+
+    const restrictionsExpired = expireStaleRestrictions(user);
+    const standing = getAccountStanding(user);
+    if (restrictionsExpired) await user.save();
+
+    if (!standing.allowed) {
+      return next(socketError(standing.message, standingErrorResponse(standing)));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(socketError('Server error during authentication'));
+  }
+};
@@ -67,6 +67,12 @@ export const validateUserRegistration = [
     .isLength({ max: 100 })
     .withMessage('Location cannot exceed 100 characters'),
 
+  body('inviteCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Invite code must be between 1 and 64 characters'),
+
   handleValidationErrors,
 ];
 
@@ -113,6 +119,16 @@ export const validateUserUpdate = [
       return true;
     }),
 
+  body('privacySettings.showOnlineStatus')
+    .optional()
+    .isBoolean()
+    .withMessage('showOnlineStatus must be a boolean'),
+
+  body('privacySettings.directMessages')
+    .optional()
+    .isIn(['everyone', 'connections', 'nobody'])
+    .withMessage('directMessages must be everyone, connections or nobody'),
+
   handleValidationErrors,
 ];
 
@@ -197,6 +213,43 @@ export const validateEvent = [
   handleValidationErrors,
 ];
 
+// Event update validation rules (every field is optional; a past date is checked against the event)
+export const validateEventUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Event title must be between 5 and 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Event description must be between 10 and 2000 characters'),
+
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+
+  body('duration')
+    .optional()
+    .matches(/^\d+\s(min|mins|hour|hours)$/)
+    .withMessage('Duration must be in format "60 min" or "2 hours"'),
+
+  body('type')
+    .optional()
+    .isIn(['workshop', 'qa', 'onboarding', 'mentorship', 'community', 'guest'])
+    .withMessage('Invalid event type'),
+
+  body('maxAttendees')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max attendees must be between 1 and 1000'),
+
+  handleValidationErrors,
+];
+
 // Course validation rules
 export const validateCourse = [
   body('title')
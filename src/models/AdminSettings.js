@@ -17,6 +17,7 @@ const adminSettingsSchema = new mongoose.Schema({
       'links',
       'moderation',
       'about',
+      'events',
     ],
   },
   settings: {
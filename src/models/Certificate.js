@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// A course completion certificate. The recipient and course details are copied at issue
+// time so the certificate stays the same even if the course or profile changes later.
+const certificateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+  },
+  recipientName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  courseTitle: {
+    type: String,
+    required: true,
+  },
+  courseCategory: String,
+  instructor: String,
+  completedAt: {
+    type: Date,
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  isRevoked: {
+    type: Boolean,
+    default: false,
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+certificateSchema.index({ user: 1, course: 1 }, { unique: true });
+certificateSchema.index({ issuedAt: -1 });
+
+// Virtual for the public verification URL
+certificateSchema.virtual('verificationUrl').get(function() {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/certificates/verify/${this.code}`;
+});
+
+// Static method to generate a unique, easy-to-read code (e.g. YYY-4F2A-9C1B)
+certificateSchema.statics.generateCode = async function() {
+  let code;
+  do {
+    const hex = crypto.randomBytes(4).toString('hex').toUpperCase();
+    code = `YYY-${hex.slice(0, 4)}-${hex.slice(4)}`;
+  } while (await this.exists({ code }));
+  return code;
+};
+
+// Static method to issue the certificate for a completed course (returns the existing one if already issued)
+certificateSchema.statics.issueForCompletion = async function(user, course, completedAt = new Date()) {
+  const existing = await this.findOne({ user: user._id, course: course._id });
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      user: user._id,
+      course: course._id,
+      code: await this.generateCode(),
+      recipientName: user.name,
+      courseTitle: course.title,
+      courseCategory: course.category,
+      instructor: course.instructor,
+      completedAt,
+    });
+  } catch (error) {
+    // Another request issued it first
+    if (error.code === 11000) {
+      return this.findOne({ user: user._id, course: course._id });
+    }
+    throw error;
+  }
+};
+
+// Method to get the details that are safe to show to anyone holding the code
+certificateSchema.methods.toPublicJSON = function() {
+  return {
+    code: this.code,
+    recipientName: this.recipientName,
+    courseTitle: this.courseTitle,
+    courseCategory: this.courseCategory,
+    instructor: this.instructor,
+    completedAt: this.completedAt,
+    issuedAt: this.issuedAt,
+    isValid: !this.isRevoked,
+    revokedAt: this.isRevoked ? this.revokedAt : undefined,
+  };
+};
+
+certificateSchema.set('toJSON', { virtuals: true });
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+export default Certificate;
@@ -90,6 +90,47 @@ connectionSchema.statics.getUserConnections = function(userId, status = 'accepte
   }).populate('requester recipient', 'name username avatar level phase isOnline');
 };
 
+// Static method to get ids of the other members in a user's connections with a given status
+connectionSchema.statics.getConnectedUserIds = async function(userId, status = 'accepted') {
+  const connections = await this.find({
+    status,
+    $or: [{ requester: userId }, { recipient: userId }],
+  }).select('requester recipient').lean();
+
+  return connections.map(connection =>
+    connection.requester.toString() === userId.toString() ? connection.recipient : connection.requester
+  );
+};
+
+// Static method to get ids of members the user has blocked or been blocked by
+connectionSchema.statics.getBlockedUserIds = function(userId) {
+  return this.getConnectedUserIds(userId, 'blocked');
+};
+
+// Static method to check if either user has blocked the other
+connectionSchema.statics.isBlockedBetween = async function(userId1, userId2) {
+  const blocked = await this.exists({
+    status: 'blocked',
+    $or: [
+      { requester: userId1, recipient: userId2 },
+      { requester: userId2, recipient: userId1 },
+    ],
+  });
+  return Boolean(blocked);
+};
+
+// Static method to check if two users have an accepted connection
+connectionSchema.statics.areConnected = async function(userId1, userId2) {
+  const connected = await this.exists({
+    status: 'accepted',
+    $or: [
+      { requester: userId1, recipient: userId2 },
+      { requester: userId2, recipient: userId1 },
+    ],
+  });
+  return Boolean(connected);
+};
+
 const Connection = mongoose.model('Connection', connectionSchema);
 
 export default Connection;
\ No newline at end of file
@@ -34,6 +34,12 @@ const moduleSchema = new mongoose.Schema({
     correctAnswer: Number,
     explanation: String,
   }],
+  // Overrides the course-wide passing score for this module's quiz
+  passingScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
   order: {
     type: Number,
     required: true,
@@ -139,10 +145,27 @@ const courseSchema = new mongoose.Schema({
       max: 5,
     },
     comment: String,
+    helpful: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    }],
+    isFlagged: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when an admin approves a flagged review
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: Date,
     timestamp: {
       type: Date,
       default: Date.now,
     },
+    editedAt: Date,
   }],
   price: {
     type: Number,
@@ -150,6 +173,13 @@ const courseSchema = new mongoose.Schema({
     min: 0,
   },
   tags: [String],
+  // Minimum quiz score (percentage) needed to complete a module
+  quizPassingScore: {
+    type: Number,
+    default: 70,
+    min: 0,
+    max: 100,
+  },
 }, {
   timestamps: true,
 });
@@ -160,23 +190,92 @@ courseSchema.index({ phase: 1 });
 courseSchema.index({ isPublished: 1 });
 courseSchema.index({ 'rating.average': -1 });
 courseSchema.index({ enrollmentCount: -1 });
+courseSchema.index({ 'reviews.user': 1 });
 
 // Virtual for total modules
 courseSchema.virtual('moduleCount').get(function() {
   return this.modules ? this.modules.length : 0;
 });
 
+// Parse a module duration string such as "45 minutes" into minutes
+const parseDurationMinutes = (duration = '') => parseInt(duration.match(/\d+/)?.[0]) || 0;
+
 // Virtual for total duration in minutes
 courseSchema.virtual('totalDurationMinutes').get(function() {
   if (!this.modules || this.modules.length === 0) return 0;
   
   return this.modules.reduce((total, module) => {
-    const duration = module.duration;
-    const minutes = parseInt(duration.match(/\d+/)?.[0]) || 0;
-    return total + minutes;
+    return total + parseDurationMinutes(module.duration);
   }, 0);
 });
 
+// Method to estimate minutes left from the modules a member has not completed
+courseSchema.methods.getRemainingMinutes = function(completedModules = []) {
+  const completed = new Set(completedModules.map(id => id.toString()));
+  return this.modules
+    .filter(module => !completed.has(module._id.toString()))
+    .reduce((total, module) => total + parseDurationMinutes(module.duration), 0);
+};
+
+// Method to get the next module a member should work on (first unlocked, uncompleted module in order)
+courseSchema.methods.getNextModule = function(completedModules = []) {
+  const completed = new Set(completedModules.map(id => id.toString()));
+  return this.getOrderedModules().find(module =>
+    !completed.has(module._id.toString()) && this.isModuleUnlocked(module._id, completedModules)
+  ) || null;
+};
+
+// Method to get the passing score for a module's quiz
+courseSchema.methods.getPassingScore = function(module) {
+  return module.passingScore ?? this.quizPassingScore ?? 70;
+};
+
+// Static method to strip quiz answers from a module before it is sent to members
+courseSchema.statics.sanitizeModule = function(module) {
+  const plain = typeof module.toJSON === 'function' ? module.toJSON() : { ...module };
+  plain.quiz = (plain.quiz || []).map(({ correctAnswer, explanation, ...question }) => question);
+  return plain;
+};
+
+// Method to get modules in the order members take them
+courseSchema.methods.getOrderedModules = function() {
+  return [...this.modules].sort((a, b) => a.order - b.order);
+};
+
+// Method to get the modules that count towards progress (all modules if none are marked required)
+courseSchema.methods.getRequiredModules = function() {
+  const required = this.modules.filter(module => module.isRequired);
+  return required.length > 0 ? required : [...this.modules];
+};
+
+// Method to calculate progress (0-100) from a member's completed module ids
+courseSchema.methods.calculateProgress = function(completedModules = []) {
+  const required = this.getRequiredModules();
+  if (required.length === 0) return 0;
+
+  const completed = new Set(completedModules.map(id => id.toString()));
+  const done = required.filter(module => completed.has(module._id.toString())).length;
+  return Math.round((done / required.length) * 100);
+};
+
+// Method to check if a module is unlocked: every required module with a lower order must be completed
+courseSchema.methods.isModuleUnlocked = function(moduleId, completedModules = []) {
+  const module = this.modules.id(moduleId);
+  if (!module) return false;
+
+  const completed = new Set(completedModules.map(id => id.toString()));
+  return this.modules.every(other =>
+    !other.isRequired || other.order >= module.order || completed.has(other._id.toString())
+  );
+};
+
+// Method to get ids of every module a member can currently open
+courseSchema.methods.getUnlockedModuleIds = function(completedModules = []) {
+  return this.getOrderedModules()
+    .filter(module => this.isModuleUnlocked(module._id, completedModules))
+    .map(module => module._id.toString());
+};
+
 // Method to calculate completion rate
 courseSchema.methods.calculateCompletionRate = async function() {
   const User = mongoose.model('User');
@@ -193,17 +292,19 @@ courseSchema.methods.calculateCompletionRate = async function() {
   return this.save();
 };
 
-// Method to update rating
+// Method to update rating (flagged reviews don't count until a moderator clears them)
 courseSchema.methods.updateRating = function() {
-  if (this.reviews.length === 0) {
+  const reviews = this.reviews.filter(review => !review.isFlagged);
+
+  if (reviews.length === 0) {
     this.rating.average = 0;
     this.rating.count = 0;
     return;
   }
   
-  const totalRating = this.reviews.reduce((sum, review) => sum + review.rating, 0);
-  this.rating.average = totalRating / this.reviews.length;
-  this.rating.count = this.reviews.length;
+  const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
+  this.rating.average = totalRating / reviews.length;
+  this.rating.count = reviews.length;
 };
 
 // Pre-save middleware
@@ -1,4 +1,26 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Check-in opens this long before the start and closes this long after the end
+const CHECK_IN_OPENS_MINUTES_BEFORE = 15;
+const CHECK_IN_CLOSES_MINUTES_AFTER = 30;
+// QR check-in tokens rotate this often (the previous token is still accepted)
+const CHECK_IN_TOKEN_PERIOD_SECONDS = 60;
+// Check-in codes avoid characters that are easy to misread (0/O, 1/I)
+const CHECK_IN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// Meeting details (Zoom link, ID, passcode) are shown to attendees from this long before the start
+const MEETING_DETAILS_VISIBLE_MINUTES_BEFORE = 15;
+// Reminders events get unless they set their own
+const DEFAULT_REMINDER_TYPES = ['1day', '1hour'];
+
+// Parse a duration like "60 min" or "2 hours" into milliseconds (defaults to 1 hour)
+const parseDurationMs = (duration = '') => {
+  const match = duration.match(/(\d+)\s*(min|mins|hour|hours)/);
+  if (!match) return 60 * 60 * 1000;
+
+  const value = parseInt(match[1]);
+  return match[2].startsWith('hour') ? value * 60 * 60 * 1000 : value * 60 * 1000;
+};
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -57,20 +79,53 @@ const eventSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['going', 'maybe', 'not_going'],
+      enum: ['going', 'maybe', 'not_going', 'waitlisted'],
       default: 'going',
     },
+    // 1-based place in the waitlist queue (only set while waitlisted)
+    waitlistPosition: Number,
+    promotedAt: Date,
     attended: {
       type: Boolean,
       default: false,
     },
+    checkedInAt: Date,
+    checkInMethod: {
+      type: String,
+      enum: ['code', 'qr', 'admin'],
+    },
+    // Attendance points (and streak/webhook) are handled once per member, even if attendance is re-marked
+    attendanceRewarded: {
+      type: Boolean,
+      default: false,
+    },
+    // When the post-event "how was it?" notification was sent
+    feedbackRequestedAt: Date,
   }],
+  // Short code shown on screen during the event for self check-in
+  checkInCode: {
+    type: String,
+    select: false,
+  },
+  // Key for the rotating QR check-in tokens
+  checkInSecret: {
+    type: String,
+    select: false,
+  },
+  // Meeting details are only returned to attendees shortly before the start (see canViewMeetingDetails)
   zoomLink: {
     type: String,
     match: [/^https:\/\/zoom\.us\/j\/\d+/, 'Invalid Zoom link format'],
+    select: false,
+  },
+  meetingId: {
+    type: String,
+    select: false,
+  },
+  passcode: {
+    type: String,
+    select: false,
   },
-  meetingId: String,
-  passcode: String,
   recordingUrl: String,
   materials: [{
     title: String,
@@ -80,6 +135,8 @@ const eventSchema = new mongoose.Schema({
       enum: ['pdf', 'video', 'link', 'slides'],
     },
   }],
+  // When attendees were last told the recording/materials are available
+  resourcesPublishedAt: Date,
   tags: [String],
   isRecurring: {
     type: Boolean,
@@ -93,6 +150,20 @@ const eventSchema = new mongoose.Schema({
     daysOfWeek: [Number], // 0-6, Sunday = 0
     endDate: Date,
   },
+  // Series only: occurrences have been generated up to this date
+  generatedUntil: Date,
+  // Occurrence only: the recurring event (series) this occurrence was generated from
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+  },
+  // Occurrence only: the slot in the series pattern (unchanged when a single occurrence is moved)
+  occurrenceDate: Date,
+  // Occurrence only: edited on its own, so series-wide edits leave it alone
+  isException: {
+    type: Boolean,
+    default: false,
+  },
   status: {
     type: String,
     enum: ['scheduled', 'live', 'completed', 'cancelled'],
@@ -108,16 +179,20 @@ const eventSchema = new mongoose.Schema({
     default: 15,
     min: [0, 'Points cannot be negative'],
   },
-  reminders: [{
-    type: {
-      type: String,
-      enum: ['1hour', '1day', '1week'],
-    },
-    sent: {
-      type: Boolean,
-      default: false,
-    },
-  }],
+  reminders: {
+    type: [{
+      type: {
+        type: String,
+        enum: ['1hour', '1day', '1week'],
+      },
+      sent: {
+        type: Boolean,
+        default: false,
+      },
+      sentAt: Date,
+    }],
+    default: () => DEFAULT_REMINDER_TYPES.map(type => ({ type })),
+  },
   feedback: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -129,6 +204,14 @@ const eventSchema = new mongoose.Schema({
       max: 5,
     },
     comment: String,
+    // Answers to the event type's survey questions (question text copied at submission)
+    answers: [{
+      _id: false,
+      questionId: String,
+      question: String,
+      kind: String,
+      value: mongoose.Schema.Types.Mixed,
+    }],
     timestamp: {
       type: Date,
       default: Date.now,
@@ -144,12 +227,53 @@ eventSchema.index({ type: 1 });
 eventSchema.index({ status: 1 });
 eventSchema.index({ phase: 1 });
 eventSchema.index({ 'attendees.user': 1 });
+eventSchema.index({ series: 1, occurrenceDate: 1 });
+eventSchema.index({ isRecurring: 1, date: 1 });
+eventSchema.index({ status: 1, date: 1, 'reminders.sent': 1 });
+eventSchema.index({ instructor: 1, type: 1, date: -1 });
+
+// Static method to give the default reminders to upcoming events (and series templates) that have none,
+// i.e. events saved before reminders had a default. It can't tell those from events an admin saved with
+// reminders turned off, so it is only run once, by the migrate:event-reminders script, when upgrading.
+// Returns the number of events updated.
+eventSchema.statics.armDefaultReminders = async function(now = new Date()) {
+  const result = await this.updateMany(
+    {
+      status: 'scheduled',
+      'reminders.0': { $exists: false },
+      $or: [{ date: { $gt: now } }, { isRecurring: true }],
+    },
+    { $set: { reminders: DEFAULT_REMINDER_TYPES.map(type => ({ type, sent: false })) } }
+  );
+  return result.modifiedCount;
+};
+
+// Rescheduling re-arms the reminders (only the closest one that is already due gets sent)
+eventSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('date')) {
+    this.reminders.forEach(reminder => {
+      reminder.sent = false;
+      reminder.sentAt = undefined;
+    });
+  }
+  next();
+});
+
+// Virtual for whether this is a recurring series (the template its occurrences are generated from)
+eventSchema.virtual('isSeries').get(function() {
+  return Boolean(this.isRecurring && !this.series);
+});
 
 // Virtual for attendee count
 eventSchema.virtual('attendeeCount').get(function() {
   return this.attendees ? this.attendees.filter(a => a.status === 'going').length : 0;
 });
 
+// Virtual for waitlist size
+eventSchema.virtual('waitlistCount').get(function() {
+  return this.attendees ? this.attendees.filter(a => a.status === 'waitlisted').length : 0;
+});
+
 // Virtual for spots remaining
 eventSchema.virtual('spotsRemaining').get(function() {
   if (!this.maxAttendees) return null;
@@ -170,35 +294,278 @@ eventSchema.methods.isUserAttending = function(userId) {
   );
 };
 
-// Method to add attendee
-eventSchema.methods.addAttendee = function(userId, status = 'going') {
-  // Remove existing RSVP if any
-  this.attendees = this.attendees.filter(
-    attendee => attendee.user.toString() !== userId.toString()
+// Method to check if there is room for another 'going' attendee
+eventSchema.methods.hasOpenSpot = function() {
+  return !this.maxAttendees || this.attendeeCount < this.maxAttendees;
+};
+
+// Method to get waitlisted attendees in queue order
+eventSchema.methods.getWaitlist = function() {
+  return this.attendees
+    .filter(attendee => attendee.status === 'waitlisted')
+    .sort((a, b) => (a.waitlistPosition || 0) - (b.waitlistPosition || 0));
+};
+
+// Method to close gaps in waitlist positions (1, 2, 3, ...)
+eventSchema.methods.renumberWaitlist = function() {
+  this.getWaitlist().forEach((attendee, index) => {
+    attendee.waitlistPosition = index + 1;
+  });
+};
+
+// Method to move waitlisted members into open spots. Returns the promoted attendee entries.
+eventSchema.methods.promoteFromWaitlist = function() {
+  const waitlist = this.getWaitlist();
+  const promoted = [];
+
+  while (waitlist.length > 0 && this.hasOpenSpot()) {
+    const next = waitlist.shift();
+    next.status = 'going';
+    next.waitlistPosition = undefined;
+    next.promotedAt = new Date();
+    promoted.push(next);
+  }
+
+  this.renumberWaitlist();
+  return promoted;
+};
+
+// Method to add or update an RSVP. A 'going' RSVP on a full event joins the waitlist,
+// and giving up a spot promotes the next waitlisted member.
+// Resolves to { status, waitlistPosition, previousStatus, promoted }.
+eventSchema.methods.addAttendee = async function(userId, status = 'going') {
+  const existing = this.attendees.find(
+    attendee => attendee.user.toString() === userId.toString()
   );
-  
-  // Add new RSVP
-  if (status !== 'not_going') {
-    this.attendees.push({ user: userId, status });
+  const previousStatus = existing?.status || null;
+
+  // Keep the current spot/queue place when re-sending the same RSVP
+  let finalStatus = status;
+  if (status === 'going' && previousStatus !== 'going' && !this.hasOpenSpot()) {
+    finalStatus = 'waitlisted';
   }
-  
-  return this.save();
+
+  if (finalStatus === 'not_going') {
+    this.attendees = this.attendees.filter(
+      attendee => attendee.user.toString() !== userId.toString()
+    );
+  } else if (existing) {
+    if (finalStatus === 'waitlisted' && previousStatus !== 'waitlisted') {
+      existing.waitlistPosition = this.waitlistCount + 1;
+    } else if (finalStatus !== 'waitlisted') {
+      existing.waitlistPosition = undefined;
+    }
+    existing.status = finalStatus;
+    existing.rsvpDate = new Date();
+  } else {
+    this.attendees.push({
+      user: userId,
+      status: finalStatus,
+      waitlistPosition: finalStatus === 'waitlisted' ? this.waitlistCount + 1 : undefined,
+    });
+  }
+
+  this.renumberWaitlist();
+  const promoted = previousStatus === 'going' && finalStatus !== 'going'
+    ? this.promoteFromWaitlist()
+    : [];
+
+  await this.save();
+
+  const entry = this.attendees.find(
+    attendee => attendee.user.toString() === userId.toString()
+  );
+
+  return {
+    status: finalStatus,
+    waitlistPosition: entry?.waitlistPosition || null,
+    previousStatus,
+    promoted,
+  };
 };
 
 // Method to mark attendance
-eventSchema.methods.markAttendance = function(userId, attended = true) {
-  const attendee = this.attendees.find(
+// Members who check in without a 'going' RSVP (walk-ins, waitlist) are added as going.
+eventSchema.methods.markAttendance = function(userId, attended = true, method = 'admin') {
+  let attendee = this.attendees.find(
     a => a.user.toString() === userId.toString()
   );
-  
+
+  if (!attendee && attended) {
+    this.attendees.push({ user: userId, status: 'going' });
+    attendee = this.attendees[this.attendees.length - 1];
+  }
+
   if (attendee) {
     attendee.attended = attended;
+    if (attended) {
+      if (attendee.status !== 'going') {
+        attendee.status = 'going';
+        attendee.waitlistPosition = undefined;
+        this.renumberWaitlist();
+      }
+      if (!attendee.checkedInAt) {
+        attendee.checkedInAt = new Date();
+        attendee.checkInMethod = method;
+      }
+    }
     return this.save();
   }
   
   return Promise.resolve(this);
 };
 
+// Method to get when the event ends (start date + duration)
+eventSchema.methods.getEndDate = function() {
+  return new Date(this.date.getTime() + parseDurationMs(this.duration));
+};
+
+// Method to get the self check-in window
+eventSchema.methods.getCheckInWindow = function() {
+  return {
+    opensAt: new Date(this.date.getTime() - CHECK_IN_OPENS_MINUTES_BEFORE * 60 * 1000),
+    closesAt: new Date(this.getEndDate().getTime() + CHECK_IN_CLOSES_MINUTES_AFTER * 60 * 1000),
+  };
+};
+
+// Method to get when attendees can see the meeting details (shortly before the start until the end)
+eventSchema.methods.getMeetingDetailsWindow = function() {
+  return {
+    opensAt: new Date(this.date.getTime() - MEETING_DETAILS_VISIBLE_MINUTES_BEFORE * 60 * 1000),
+    closesAt: this.getEndDate(),
+  };
+};
+
+// Method to check if a user can see the meeting details right now.
+// Admins always can; members need a 'going' RSVP and the event to be about to start or live.
+eventSchema.methods.canViewMeetingDetails = function(user, now = new Date()) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  if (['completed', 'cancelled'].includes(this.status)) return false;
+
+  const { opensAt, closesAt } = this.getMeetingDetailsWindow();
+  if (now < opensAt || now > closesAt) return false;
+
+  return this.attendees.some(attendee => (
+    (attendee.user?._id || attendee.user)?.toString() === user._id.toString() &&
+    attendee.status === 'going'
+  ));
+};
+
+// Method to check if members can check themselves in right now
+eventSchema.methods.isCheckInOpen = function(now = new Date()) {
+  if (this.status === 'cancelled') return false;
+  const { opensAt, closesAt } = this.getCheckInWindow();
+  return now >= opensAt && now <= closesAt;
+};
+
+// Method to generate a new check-in code and QR key (replaces the old ones). Returns the code.
+eventSchema.methods.generateCheckInCode = function() {
+  const bytes = crypto.randomBytes(6);
+  this.checkInCode = Array.from(bytes, byte => CHECK_IN_CODE_ALPHABET[byte % CHECK_IN_CODE_ALPHABET.length]).join('');
+  this.checkInSecret = crypto.randomBytes(32).toString('hex');
+  return this.checkInCode;
+};
+
+// Method to get the QR check-in token for the period containing `at` (requires checkInSecret to be selected)
+eventSchema.methods.getCheckInToken = function(at = new Date()) {
+  const period = Math.floor(at.getTime() / (CHECK_IN_TOKEN_PERIOD_SECONDS * 1000));
+  const token = crypto.createHmac('sha256', this.checkInSecret)
+    .update(`${this._id}:${period}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  return {
+    token,
+    expiresAt: new Date((period + 1) * CHECK_IN_TOKEN_PERIOD_SECONDS * 1000),
+  };
+};
+
+// Method to verify a self check-in code or QR token. Returns the check-in method, or null if invalid.
+eventSchema.methods.verifyCheckIn = function({ code, token }) {
+  const matches = (a, b) => Boolean(a) && Boolean(b) && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+  if (code && matches(code.trim().toUpperCase(), this.checkInCode)) {
+    return 'code';
+  }
+
+  if (token && this.checkInSecret) {
+    const now = Date.now();
+    const previous = new Date(now - CHECK_IN_TOKEN_PERIOD_SECONDS * 1000);
+    if (matches(token, this.getCheckInToken(new Date(now)).token) ||
+        matches(token, this.getCheckInToken(previous).token)) {
+      return 'qr';
+    }
+  }
+
+  return null;
+};
+
+// Method to check if any member has an active RSVP (going, maybe or waitlisted)
+eventSchema.methods.hasActiveRSVPs = function() {
+  return this.attendees.some(attendee => attendee.status !== 'not_going');
+};
+
+// Method to list a series' occurrence dates after `from` (exclusive) up to `until` (inclusive).
+// Every occurrence keeps the time of day of the series' first date.
+eventSchema.methods.getOccurrenceDates = function(from, until) {
+  const { frequency, daysOfWeek, endDate } = this.recurringPattern || {};
+  if (!this.isRecurring || !frequency) return [];
+
+  const start = new Date(this.date);
+  const last = endDate && endDate < until ? endDate : until;
+  const dates = [];
+
+  if (frequency === 'monthly') {
+    // Same day of the month; months without that day (e.g. the 31st) are skipped
+    for (let month = 0; ; month++) {
+      const date = new Date(start);
+      date.setDate(1);
+      date.setMonth(start.getMonth() + month);
+      const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      if (date > last) break;
+      if (start.getDate() > daysInMonth) continue;
+
+      date.setDate(start.getDate());
+      if (date > last) break;
+      if (date > from) dates.push(date);
+    }
+    return dates;
+  }
+
+  const interval = frequency === 'biweekly' ? 2 : 1;
+  const days = daysOfWeek?.length
+    ? [...new Set(daysOfWeek)].sort((a, b) => a - b)
+    : [start.getDay()];
+
+  // Sunday of the first week, at the series' time of day
+  const firstWeek = new Date(start);
+  firstWeek.setDate(start.getDate() - start.getDay());
+
+  for (let week = 0; ; week += interval) {
+    const weekStart = new Date(firstWeek);
+    weekStart.setDate(firstWeek.getDate() + week * 7);
+    if (weekStart > last) break;
+
+    for (const day of days) {
+      const date = new Date(weekStart);
+      date.setDate(weekStart.getDate() + day);
+      if (date < start || date > last) continue;
+      if (date > from) dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+// Method to check if a date is a slot in the series pattern
+eventSchema.methods.isOccurrenceDate = function(date) {
+  const time = new Date(date).getTime();
+  return this.getOccurrenceDates(new Date(time - 1), new Date(time))
+    .some(occurrenceDate => occurrenceDate.getTime() === time);
+};
+
 // Ensure virtual fields are serialized
 eventSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// One-way follow: `follower` sees `following`'s posts in their following feed
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Muted follows stay in place but are left out of the following feed
+  isMuted: {
+    type: Boolean,
+    default: false,
+  },
+  mutedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+// Static method to find the follow between two users
+followSchema.statics.findFollow = function(followerId, followingId) {
+  return this.findOne({ follower: followerId, following: followingId });
+};
+
+// Static method to follow a user. Safe against concurrent requests: an existing follow is left as is.
+// Returns true if a new follow was created.
+followSchema.statics.follow = async function(followerId, followingId) {
+  try {
+    const result = await this.updateOne(
+      { follower: followerId, following: followingId },
+      { $setOnInsert: { follower: followerId, following: followingId } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to get ids of the members a user follows
+followSchema.statics.getFollowingIds = function(userId, { includeMuted = true } = {}) {
+  const query = { follower: userId };
+  if (!includeMuted) query.isMuted = false;
+  return this.find(query).distinct('following');
+};
+
+// Static method to get follower/following counts for a user
+followSchema.statics.getCounts = async function(userId) {
+  const [followersCount, followingCount] = await Promise.all([
+    this.countDocuments({ following: userId }),
+    this.countDocuments({ follower: userId }),
+  ]);
+  return { followersCount, followingCount };
+};
+
+// Static method to remove follows in both directions (used when members block each other)
+followSchema.statics.removeBetween = function(userId1, userId2) {
+  return this.deleteMany({
+    $or: [
+      { follower: userId1, following: userId2 },
+      { follower: userId2, following: userId1 },
+    ],
+  });
+};
+
+const Follow = mongoose.model('Follow', followSchema);
+
+export default Follow;
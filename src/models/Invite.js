@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const inviteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Invite code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Invite expiry is required'],
+  },
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: [1, 'Invite must allow at least one use'],
+  },
+  uses: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Optional pre-assignment applied to the member who redeems the code
+  phase: {
+    type: String,
+    enum: ['Phase 1', 'Phase 2', 'Phase 3'],
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+  },
+  // Reentry program / cohort the invite was issued for
+  program: {
+    type: String,
+    trim: true,
+    maxLength: [100, 'Program name cannot exceed 100 characters'],
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Note cannot exceed 500 characters'],
+  },
+  usedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  isRevoked: {
+    type: Boolean,
+    default: false,
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+inviteSchema.index({ createdBy: 1 });
+inviteSchema.index({ program: 1 });
+inviteSchema.index({ expiresAt: 1 });
+inviteSchema.index({ createdAt: -1 });
+
+// Virtual for current invite status
+inviteSchema.virtual('status').get(function() {
+  if (this.isRevoked) return 'revoked';
+  if (this.uses >= this.maxUses) return 'exhausted';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Virtual for remaining uses
+inviteSchema.virtual('remainingUses').get(function() {
+  return Math.max(0, this.maxUses - this.uses);
+});
+
+// Method to check if invite can still be redeemed
+inviteSchema.methods.checkValidity = function() {
+  switch (this.status) {
+    case 'revoked':
+      return { isValid: false, reason: 'Invite code has been revoked' };
+    case 'exhausted':
+      return { isValid: false, reason: 'Invite code has already been used' };
+    case 'expired':
+      return { isValid: false, reason: 'Invite code has expired' };
+    default:
+      return { isValid: true };
+  }
+};
+
+// Static method to generate a unique, human-friendly code
+inviteSchema.statics.generateCode = function() {
+  return `YOUYESYOU-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+// Static method to find invite by code (case-insensitive)
+inviteSchema.statics.findByCode = function(code) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+// Static method to atomically redeem an invite for a user.
+// Returns the updated invite, or null if it could not be redeemed.
+inviteSchema.statics.redeem = function(inviteId, userId) {
+  return this.findOneAndUpdate(
+    {
+      _id: inviteId,
+      isRevoked: false,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$uses', '$maxUses'] },
+    },
+    {
+      $inc: { uses: 1 },
+      $push: { usedBy: { user: userId, usedAt: new Date() } },
+    },
+    { new: true }
+  );
+};
+
+inviteSchema.set('toJSON', { virtuals: true });
+
+const Invite = mongoose.model('Invite', inviteSchema);
+
+export default Invite;
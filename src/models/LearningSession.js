@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Longest gap between heartbeats that still counts as time spent learning
+const MAX_HEARTBEAT_GAP_SECONDS = 120;
+
+// A stretch of time a member spends on one course module (start -> heartbeats -> stop)
+const learningSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now,
+  },
+  endedAt: Date,
+  durationSeconds: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Playback position (seconds) in the module's video, used as the resume point
+  lastPosition: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  countedForStreak: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+learningSessionSchema.index({ user: 1, startedAt: -1 });
+learningSessionSchema.index({ user: 1, course: 1, moduleId: 1, lastActivityAt: -1 });
+learningSessionSchema.index({ user: 1, endedAt: 1 });
+
+// Virtual for whether the session is still open
+learningSessionSchema.virtual('isActive').get(function() {
+  return !this.endedAt;
+});
+
+// Method to record activity: adds the time since the last heartbeat (capped) and the latest position
+learningSessionSchema.methods.recordActivity = function(position) {
+  const now = new Date();
+  const elapsed = Math.floor((now - this.lastActivityAt) / 1000);
+
+  this.durationSeconds += Math.max(0, Math.min(elapsed, MAX_HEARTBEAT_GAP_SECONDS));
+  this.lastActivityAt = now;
+  if (typeof position === 'number' && position >= 0) {
+    this.lastPosition = position;
+  }
+};
+
+// Static method to close every open session for a user
+learningSessionSchema.statics.closeOpenSessions = async function(userId) {
+  const openSessions = await this.find({ user: userId, endedAt: null });
+  for (const session of openSessions) {
+    session.endedAt = session.lastActivityAt;
+    await session.save();
+  }
+  return openSessions.length;
+};
+
+// Static method to get the resume position for a module (from the most recent session)
+learningSessionSchema.statics.getResumePosition = async function(userId, courseId, moduleId) {
+  const latest = await this.findOne({ user: userId, course: courseId, moduleId })
+    .sort({ lastActivityAt: -1 })
+    .select('lastPosition lastActivityAt')
+    .lean();
+  return latest ? { position: latest.lastPosition, updatedAt: latest.lastActivityAt } : null;
+};
+
+learningSessionSchema.set('toJSON', { virtuals: true });
+
+const LearningSession = mongoose.model('LearningSession', learningSessionSchema);
+
+export default LearningSession;
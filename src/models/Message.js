@@ -1,5 +1,19 @@
 import mongoose from 'mongoose';
 
+// Group changes recorded as system messages
+const GROUP_SYSTEM_ACTIONS = [
+  'group_created',
+  'members_added',
+  'member_removed',
+  'member_left',
+  'owner_changed',
+  'role_changed',
+  'group_renamed',
+  'description_changed',
+  'avatar_changed',
+  'settings_changed',
+];
+
 const messageSchema = new mongoose.Schema({
   conversation: {
     type: mongoose.Schema.Types.ObjectId,
@@ -49,6 +63,17 @@ const messageSchema = new mongoose.Schema({
     size: Number,
     type: String,
   }],
+  // Receipts: who has received the message on a device, and who has read it
+  deliveredTo: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   readBy: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -82,6 +107,17 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
   },
+  // System messages only: what changed in the group and which members it was about
+  systemEvent: {
+    action: {
+      type: String,
+      enum: GROUP_SYSTEM_ACTIONS,
+    },
+    targets: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+  },
   isDeleted: {
     type: Boolean,
     default: false,
@@ -111,6 +147,12 @@ const conversationSchema = new mongoose.Schema({
       type: Date,
       default: Date.now,
     },
+    // Group conversations only: the owner and admins manage the group
+    role: {
+      type: String,
+      enum: ['owner', 'admin', 'member'],
+      default: 'member',
+    },
   }],
   type: {
     type: String,
@@ -120,6 +162,18 @@ const conversationSchema = new mongoose.Schema({
   title: String, // For group conversations
   description: String, // For group conversations
   avatar: String, // For group conversations
+  settings: { // For group conversations
+    // Members (not just admins) can add people
+    membersCanInvite: {
+      type: Boolean,
+      default: false,
+    },
+    // Members (not just admins) can change the title, description and avatar
+    membersCanEditInfo: {
+      type: Boolean,
+      default: false,
+    },
+  },
   lastMessage: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
@@ -136,6 +190,19 @@ const conversationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Direct conversations from someone the recipient isn't connected with start as message requests:
+  // they stay out of the recipient's inbox (and send no receipts) until accepted
+  request: {
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    respondedAt: Date,
+  },
 }, {
   timestamps: true,
 });
@@ -145,6 +212,7 @@ messageSchema.index({ conversation: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
 conversationSchema.index({ participants: 1 });
 conversationSchema.index({ lastActivity: -1 });
+conversationSchema.index({ 'participants.user': 1, 'request.status': 1 });
 
 // Virtual for unread count
 conversationSchema.virtual('unreadCount').get(function() {
@@ -152,6 +220,22 @@ conversationSchema.virtual('unreadCount').get(function() {
   return this._unreadCount || 0;
 });
 
+// Static query filter that leaves out message requests a user hasn't accepted (pending or declined)
+conversationSchema.statics.excludeUnacceptedRequests = function(userId) {
+  return {
+    $nor: [{
+      'request.status': { $in: ['pending', 'declined'] },
+      'request.requestedBy': { $ne: userId },
+    }],
+  };
+};
+
+// Method to check if this is a message request the user received and hasn't accepted
+conversationSchema.methods.isUnacceptedRequestFor = function(userId) {
+  return ['pending', 'declined'].includes(this.request?.status) &&
+    this.request.requestedBy?.toString() !== userId.toString();
+};
+
 // Method to mark messages as read
 conversationSchema.methods.markAsRead = function(userId) {
   const participant = this.participants.find(
@@ -166,20 +250,71 @@ conversationSchema.methods.markAsRead = function(userId) {
   return Promise.resolve(this);
 };
 
-// Method to add participant
-conversationSchema.methods.addParticipant = function(userId) {
-  const existingParticipant = this.participants.find(
-    p => p.user.toString() === userId.toString()
+// Method to get a user's entry if they are an active participant
+conversationSchema.methods.getActiveParticipant = function(userId) {
+  return this.participants.find(
+    p => (p.user?._id || p.user)?.toString() === userId.toString() && p.isActive
   );
+};
+
+// Method to get the active participants
+conversationSchema.methods.getActiveParticipants = function() {
+  return this.participants.filter(p => p.isActive);
+};
+
+// Method to check if a user is the group's owner or one of its admins
+conversationSchema.methods.isGroupAdmin = function(userId) {
+  return ['owner', 'admin'].includes(this.getActiveParticipant(userId)?.role);
+};
+
+// Method to add participants (members who left before are re-activated). Returns the added user IDs.
+conversationSchema.methods.addParticipants = function(userIds) {
+  const added = [];
 
-  if (!existingParticipant) {
-    this.participants.push({ user: userId });
+  for (const userId of userIds) {
+    const existingParticipant = this.participants.find(
+      p => (p.user?._id || p.user)?.toString() === userId.toString()
+    );
+
+    if (!existingParticipant) {
+      this.participants.push({ user: userId });
+    } else if (!existingParticipant.isActive) {
+      existingParticipant.isActive = true;
+      existingParticipant.leftAt = undefined;
+      existingParticipant.joinedAt = new Date();
+      existingParticipant.lastRead = new Date();
+      existingParticipant.role = 'member';
+    } else {
+      continue;
+    }
+    added.push(userId);
+  }
+
+  return added;
+};
+
+// Method to add participant
+conversationSchema.methods.addParticipant = function(userId) {
+  if (this.addParticipants([userId]).length > 0) {
     return this.save();
   }
 
   return Promise.resolve(this);
 };
 
+// Method to remove a participant (their entry is kept with leftAt, so they can be re-added)
+conversationSchema.methods.removeParticipant = function(userId) {
+  const participant = this.getActiveParticipant(userId);
+
+  if (participant) {
+    participant.isActive = false;
+    participant.leftAt = new Date();
+    participant.role = 'member';
+  }
+
+  return participant;
+};
+
 conversationSchema.set('toJSON', { virtuals: true });
 
 export const Message = mongoose.model('Message', messageSchema);
@@ -17,10 +17,13 @@ const notificationSchema = new mongoose.Schema({
       'welcome',
       'connection_request',
       'connection_accepted',
+      'new_follower',
       'message',
       'post_like',
       'post_comment',
       'event_reminder',
+      'event_update',
+      'event_feedback',
       'course_completed',
       'badge_earned',
       'level_up',
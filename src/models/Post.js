@@ -67,6 +67,10 @@ const postSchema = new mongoose.Schema({
       type: Date,
       default: Date.now,
     },
+    isApproved: {
+      type: Boolean,
+      default: true,
+    },
     likes: [{
       user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -108,6 +112,7 @@ postSchema.index({ category: 1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ isPinned: -1, lastActivity: -1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ 'comments.isApproved': 1 });
 
 // Virtual for like count
 postSchema.virtual('likesCount').get(function() {
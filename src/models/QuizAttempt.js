@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+// One graded submission of a module quiz
+const quizAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  answers: [{
+    questionId: mongoose.Schema.Types.ObjectId,
+    selectedAnswer: Number,
+    isCorrect: Boolean,
+  }],
+  correctCount: {
+    type: Number,
+    required: true,
+  },
+  totalQuestions: {
+    type: Number,
+    required: true,
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+  passingScore: {
+    type: Number,
+    required: true,
+  },
+  passed: {
+    type: Boolean,
+    default: false,
+  },
+  attemptNumber: {
+    type: Number,
+    default: 1,
+  },
+  // Set on the one attempt that earned the first-pass points
+  rewardClaimed: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+quizAttemptSchema.index({ user: 1, course: 1, moduleId: 1, createdAt: -1 });
+quizAttemptSchema.index({ course: 1, moduleId: 1 });
+// Only one attempt per member and module can claim the first-pass reward
+quizAttemptSchema.index(
+  { user: 1, course: 1, moduleId: 1 },
+  { unique: true, partialFilterExpression: { rewardClaimed: true } }
+);
+
+// Static method to check if a user has passed a module quiz
+quizAttemptSchema.statics.hasPassed = async function(userId, courseId, moduleId) {
+  const passed = await this.exists({ user: userId, course: courseId, moduleId, passed: true });
+  return Boolean(passed);
+};
+
+// Static method to claim the first-pass reward for a passed attempt. The unique index makes the claim
+// atomic, so concurrent passing submissions can't both earn the points. Returns true if this attempt won.
+quizAttemptSchema.statics.claimReward = async function(attempt) {
+  try {
+    const result = await this.updateOne(
+      { _id: attempt._id, passed: true, rewardClaimed: false },
+      { $set: { rewardClaimed: true } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    // Another attempt claimed it first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to summarize a user's attempts on a module quiz
+quizAttemptSchema.statics.getSummary = async function(userId, courseId, moduleId) {
+  const attempts = await this.find({ user: userId, course: courseId, moduleId })
+    .select('score passed createdAt')
+    .lean();
+
+  return {
+    attempts: attempts.length,
+    bestScore: attempts.reduce((best, attempt) => Math.max(best, attempt.score), 0),
+    passed: attempts.some(attempt => attempt.passed),
+    lastAttemptAt: attempts.length > 0
+      ? attempts.reduce((latest, attempt) => (attempt.createdAt > latest ? attempt.createdAt : latest), attempts[0].createdAt)
+      : null,
+  };
+};
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+export default QuizAttempt;
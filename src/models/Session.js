@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { generateRefreshToken } from '../utils/generateToken.js';
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// One document per issued refresh token. Tokens issued from the same login
+// share a `family`; rotating a token revokes it and issues a new one in the family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  family: {
+    type: String,
+    required: true,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  device: {
+    type: String,
+    default: 'Unknown device',
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'user_revoked', 'password_changed', 'banned', 'reuse_detected', 'admin'],
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ family: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage/lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Derive a readable device label from the user agent
+const describeDevice = (userAgent = '') => {
+  const os = /iPhone|iPad/i.test(userAgent) ? 'iOS'
+    : /Android/i.test(userAgent) ? 'Android'
+    : /Windows/i.test(userAgent) ? 'Windows'
+    : /Mac OS X|Macintosh/i.test(userAgent) ? 'macOS'
+    : /Linux/i.test(userAgent) ? 'Linux'
+    : null;
+  const browser = /Edg\//i.test(userAgent) ? 'Edge'
+    : /Chrome\//i.test(userAgent) ? 'Chrome'
+    : /Firefox\//i.test(userAgent) ? 'Firefox'
+    : /Safari\//i.test(userAgent) ? 'Safari'
+    : null;
+
+  if (!os && !browser) return 'Unknown device';
+  return [browser, os].filter(Boolean).join(' on ');
+};
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to issue a refresh token and persist its session.
+// Pass an existing family to continue a login (rotation), or omit it for a new login.
+sessionSchema.statics.issue = async function(userId, req, family = crypto.randomUUID()) {
+  const refreshToken = generateRefreshToken(userId, family);
+  const userAgent = req?.get?.('user-agent') || '';
+
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req?.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return { refreshToken, session };
+};
+
+// Static method to find the session for a raw refresh token
+sessionSchema.statics.findByToken = function(refreshToken) {
+  return this.findOne({ tokenHash: hashToken(refreshToken) });
+};
+
+// Static method to check if a login family still has a usable session
+sessionSchema.statics.isFamilyActive = async function(family) {
+  const active = await this.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return Boolean(active);
+};
+
+// Static method to revoke every token in a login family
+sessionSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke all sessions for a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to get a user's active sessions (one per login family)
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -90,8 +91,16 @@ const userSchema = new mongoose.Schema({
   },
   emailVerificationToken: String,
   emailVerificationExpire: Date,
+  emailVerificationSentAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Hash of the secret in the member's personal calendar subscription URL
+  calendarFeedToken: {
+    type: String,
+    select: false,
+  },
+  calendarFeedCreatedAt: Date,
+  passwordChangedAt: Date,
   courses: [{
     courseId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -109,6 +118,23 @@ const userSchema = new mongoose.Schema({
     },
     completedModules: [String],
     lastAccessed: Date,
+    completedAt: Date,
+  }],
+  // Courses an admin has unlocked for this member regardless of phase/prerequisites
+  courseAccessOverrides: [{
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: String,
   }],
   achievements: [{
     title: String,
@@ -172,6 +198,18 @@ const userSchema = new mongoose.Schema({
       },
       lastUpdate: Date,
     },
+    // Counted in weeks rather than days
+    course: {
+      current: {
+        type: Number,
+        default: 0,
+      },
+      longest: {
+        type: Number,
+        default: 0,
+      },
+      lastUpdate: Date,
+    },
   },
   warnings: [{
     type: {
@@ -225,6 +263,99 @@ const userSchema = new mongoose.Schema({
       courseUpdates: { type: Boolean, default: false },
     },
   },
+  privacySettings: {
+    showOnlineStatus: { type: Boolean, default: true },
+    // Who can start a direct conversation (non-connections land in message requests)
+    directMessages: {
+      type: String,
+      enum: ['everyone', 'connections', 'nobody'],
+      default: 'everyone',
+    },
+  },
+  // Moderator-applied restrictions (set from moderation report actions)
+  moderationStatus: {
+    warnings: [{
+      type: {
+        type: String,
+        enum: [
+          'warning',
+          'suspension',
+          'ban',
+          'shadow_ban',
+          'posting_restriction',
+          'approval_required',
+          'educational_intervention',
+        ],
+      },
+      reason: String,
+      severity: mongoose.Schema.Types.Mixed,
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      issuedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      expiresAt: Date,
+      duration: String,
+    }],
+    warningCount: {
+      type: Number,
+      default: 0,
+    },
+    isSuspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspensionExpiresAt: Date,
+    isBanned: {
+      type: Boolean,
+      default: false,
+    },
+    bannedAt: Date,
+    isShadowBanned: {
+      type: Boolean,
+      default: false,
+    },
+    shadowBanExpiresAt: Date,
+    postingRestricted: {
+      type: Boolean,
+      default: false,
+    },
+    postingRestrictionExpiresAt: Date,
+    requiresApproval: {
+      type: Boolean,
+      default: false,
+    },
+    requiresApprovalExpiresAt: Date,
+    requiresEducation: {
+      type: Boolean,
+      default: false,
+    },
+    educationTopic: String,
+    spamScore: {
+      type: Number,
+      default: 0,
+    },
+    riskScore: {
+      type: Number,
+      default: 0,
+    },
+    history: [{
+      action: String,
+      reason: String,
+      severity: mongoose.Schema.Types.Mixed,
+      moderator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+  },
   // Administrative account states
   isBanned: {
     type: Boolean,
@@ -242,6 +373,8 @@ const userSchema = new mongoose.Schema({
 // Use plain indexes here to avoid duplicating unique defs on fields
 userSchema.index({ points: -1 });
 userSchema.index({ 'courses.courseId': 1 });
+userSchema.index({ 'moderationStatus.isShadowBanned': 1 });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -252,6 +385,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Record when the password changed so older refresh tokens can be rejected
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -263,6 +401,81 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check if password changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) return false;
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Method to generate a password reset token (only the hash is stored)
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return resetToken;
+};
+
+// Method to generate an email verification token (only the hash is stored)
+userSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Method to generate a calendar feed token (only the hash is stored, so a new one replaces the old URL)
+userSchema.methods.getCalendarFeedToken = function() {
+  const feedToken = crypto.randomBytes(32).toString('hex');
+
+  this.calendarFeedToken = crypto.createHash('sha256').update(feedToken).digest('hex');
+  this.calendarFeedCreatedAt = new Date();
+
+  return feedToken;
+};
+
+// Check a moderation flag together with its (optional) expiry
+const isRestrictionActive = (flag, expiresAt) => Boolean(flag) && (!expiresAt || expiresAt > new Date());
+
+// Method to check if user is shadow banned (content hidden from others)
+userSchema.methods.isShadowBanned = function() {
+  const status = this.moderationStatus || {};
+  return isRestrictionActive(status.isShadowBanned, status.shadowBanExpiresAt);
+};
+
+// Method to check if user is restricted from posting
+userSchema.methods.isPostingRestricted = function() {
+  const status = this.moderationStatus || {};
+  return isRestrictionActive(status.postingRestricted, status.postingRestrictionExpiresAt);
+};
+
+// Method to check if user's new content must be approved by a moderator
+userSchema.methods.requiresContentApproval = function() {
+  const status = this.moderationStatus || {};
+  return isRestrictionActive(status.requiresApproval, status.requiresApprovalExpiresAt);
+};
+
+// Static method to get ids of shadow banned users whose content the viewer should not see
+userSchema.statics.getShadowBannedIds = async function(viewer) {
+  if (viewer?.role === 'admin') return [];
+
+  const now = new Date();
+  const ids = await this.find({
+    'moderationStatus.isShadowBanned': true,
+    $or: [
+      { 'moderationStatus.shadowBanExpiresAt': null },
+      { 'moderationStatus.shadowBanExpiresAt': { $gt: now } },
+    ],
+  }).distinct('_id');
+
+  // Shadow banned users still see their own content
+  return viewer ? ids.filter(id => id.toString() !== viewer._id.toString()) : ids;
+};
+
 // Method to update user level based on points
 userSchema.methods.updateLevel = function() {
   if (this.points >= 750) {
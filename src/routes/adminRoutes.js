@@ -5,10 +5,13 @@ import Course from '../models/Course.js';
 import Event from '../models/Event.js';
 import Feedback from '../models/Feedback.js';
 import Activity from '../models/Activity.js';
+import Invite from '../models/Invite.js';
+import Session from '../models/Session.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { validateObjectId, validatePagination, handleValidationErrors } from '../middleware/validation.js';
-import { body } from 'express-validator';
+import { body, param, query as queryParam } from 'express-validator';
+import { escapeRegex } from '../utils/searchUtils.js';
 
 const router = express.Router();
 
@@ -298,6 +301,12 @@ router.put('/users/:id', validateObjectId, asyncHandler(async (req, res) => {
     user.isBanned = isBanned;
     if (isBanned) {
       user.warnings.push({ type: 'banned', reason: 'Admin ban', issuedBy: req.user._id, issuedAt: new Date(), isActive: true });
+    } else {
+      // Lifting a ban clears any active ban warnings so the account is back in good standing
+      user.warnings.forEach(warning => {
+        if (warning.type === 'banned') warning.isActive = false;
+      });
+      user.moderationStatus.isBanned = false;
     }
   }
   if (typeof isSuspended === 'boolean') {
@@ -307,11 +316,20 @@ router.put('/users/:id', validateObjectId, asyncHandler(async (req, res) => {
       user.warnings.push({ type: 'suspension', reason: 'Admin suspension', issuedBy: req.user._id, issuedAt: new Date(), isActive: true, expiresAt: until });
     } else {
       user.suspendedUntil = null;
+      user.warnings.forEach(warning => {
+        if (warning.type === 'suspension') warning.isActive = false;
+      });
+      user.moderationStatus.isSuspended = false;
     }
   }
 
   await user.save();
 
+  // A banned member is signed out of every device
+  if (isBanned === true) {
+    await Session.revokeAllForUser(user._id, 'banned');
+  }
+
   res.status(200).json({
     success: true,
     message: 'User updated successfully',
@@ -380,9 +398,42 @@ router.get('/posts/pending', validatePagination, asyncHandler(async (req, res) =
 
   const total = await Post.countDocuments({ isApproved: false });
 
+  // Comments held for review (e.g. from members under an approval requirement)
+  const pendingComments = await Post.aggregate([
+    { $match: { 'comments.isApproved': false } },
+    { $unwind: '$comments' },
+    { $match: { 'comments.isApproved': false } },
+    { $sort: { 'comments.timestamp': -1 } },
+    { $limit: 100 },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'comments.user',
+        foreignField: '_id',
+        as: 'author',
+      },
+    },
+    {
+      $project: {
+        _id: '$comments._id',
+        postId: '$_id',
+        content: '$comments.content',
+        timestamp: '$comments.timestamp',
+        author: {
+          _id: { $arrayElemAt: ['$author._id', 0] },
+          name: { $arrayElemAt: ['$author.name', 0] },
+          username: { $arrayElemAt: ['$author.username', 0] },
+          avatar: { $arrayElemAt: ['$author.avatar', 0] },
+          level: { $arrayElemAt: ['$author.level', 0] },
+        },
+      },
+    },
+  ]);
+
   res.status(200).json({
     success: true,
     data: posts,
+    pendingComments,
     pagination: {
       current: parseInt(page),
       pages: Math.ceil(total / limit),
@@ -428,6 +479,46 @@ router.put('/posts/:id/moderate', validateObjectId, asyncHandler(async (req, res
   });
 }));
 
+// @desc    Approve/reject pending comment
+// @route   PUT /api/admin/posts/:postId/comments/:commentId/moderate
+// @access  Private (Admin)
+router.put('/posts/:postId/comments/:commentId/moderate', [
+  param('postId').isMongoId().withMessage('Invalid post ID'),
+  param('commentId').isMongoId().withMessage('Invalid comment ID'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const { action } = req.body; // 'approve' or 'reject'
+
+  if (!['approve', 'reject'].includes(action)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid action. Must be "approve" or "reject"',
+    });
+  }
+
+  const post = await Post.findById(req.params.postId);
+  const comment = post?.comments.id(req.params.commentId);
+
+  if (!comment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found',
+    });
+  }
+
+  if (action === 'approve') {
+    comment.isApproved = true;
+  } else {
+    post.comments.pull(comment._id);
+  }
+  await post.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Comment ${action}d successfully`,
+  });
+}));
+
 // @desc    Get system analytics
 // @route   GET /api/admin/analytics
 // @access  Private (Admin)
@@ -586,26 +677,193 @@ router.put('/users/bulk', asyncHandler(async (req, res) => {
   });
 }));
 
+// Parse an invite lifetime such as "7d", "48h" or a number of days
+const parseInviteExpiry = (expiresIn) => {
+  if (typeof expiresIn === 'number' && expiresIn > 0) {
+    return new Date(Date.now() + expiresIn * 24 * 60 * 60 * 1000);
+  }
+
+  const match = /^(\d+)\s*([dh])$/i.exec(String(expiresIn || '').trim());
+  if (!match) return null;
+
+  const amount = parseInt(match[1]);
+  const unitMs = match[2].toLowerCase() === 'h' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+  return amount > 0 ? new Date(Date.now() + amount * unitMs) : null;
+};
+
 // @desc    Generate invite codes
 // @route   POST /api/admin/invites
 // @access  Private (Admin)
-router.post('/invites', asyncHandler(async (req, res) => {
-  const { count = 1, expiresIn = '7d' } = req.body;
-
-  // For now, just return mock invite codes
-  // In production, you'd store these in the database
-  const invites = Array.from({ length: count }, (_, i) => ({
-    code: `YOUYESYOU-${Date.now()}-${i}`,
-    createdBy: req.user._id,
-    createdAt: new Date(),
-    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    used: false,
-  }));
-
-  res.status(201).json({
+router.post('/invites',
+  [
+    body('count').optional().isInt({ min: 1, max: 100 }).withMessage('Count must be between 1 and 100'),
+    body('maxUses').optional().isInt({ min: 1, max: 1000 }).withMessage('Max uses must be between 1 and 1000'),
+    body('phase').optional().isIn(['Phase 1', 'Phase 2', 'Phase 3']).withMessage('Invalid phase'),
+    body('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+    body('program').optional().isString().trim().isLength({ max: 100 }).withMessage('Program name cannot exceed 100 characters'),
+    body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+    handleValidationErrors
+  ],
+  asyncHandler(async (req, res) => {
+    const { count = 1, expiresIn = '7d', maxUses = 1, phase, role, program, note } = req.body;
+
+    const expiresAt = parseInviteExpiry(expiresIn);
+    if (!expiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expiresIn. Use a number of days or a value like "7d" or "48h"',
+      });
+    }
+
+    const invites = await Invite.insertMany(
+      Array.from({ length: parseInt(count) }, () => ({
+        code: Invite.generateCode(),
+        createdBy: req.user._id,
+        expiresAt,
+        maxUses: parseInt(maxUses),
+        phase,
+        role,
+        program,
+        note,
+      }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Generated ${invites.length} invite code(s)`,
+      data: invites,
+    });
+  })
+);
+
+// @desc    List invite codes
+// @route   GET /api/admin/invites
+// @access  Private (Admin)
+router.get('/invites', validatePagination, [
+  queryParam('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search must be text up to 100 characters'),
+  queryParam('program')
+    .optional()
+    .isString()
+    .withMessage('Invalid program'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'all', program, search } = req.query;
+
+  const now = new Date();
+  const query = {};
+
+  switch (status) {
+    case 'active':
+      Object.assign(query, { isRevoked: false, expiresAt: { $gt: now }, $expr: { $lt: ['$uses', '$maxUses'] } });
+      break;
+    case 'exhausted':
+      Object.assign(query, { isRevoked: false, $expr: { $gte: ['$uses', '$maxUses'] } });
+      break;
+    case 'expired':
+      Object.assign(query, { isRevoked: false, expiresAt: { $lte: now } });
+      break;
+    case 'revoked':
+      query.isRevoked = true;
+      break;
+  }
+
+  if (program) {
+    query.program = program;
+  }
+
+  if (search) {
+    query.code = { $regex: escapeRegex(search), $options: 'i' };
+  }
+
+  const invites = await Invite.find(query)
+    .populate('createdBy', 'name username')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Invite.countDocuments(query);
+
+  res.status(200).json({
     success: true,
-    message: `Generated ${count} invite code(s)`,
     data: invites,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+  });
+}));
+
+// @desc    Get invite usage (who redeemed it and when)
+// @route   GET /api/admin/invites/:id/usage
+// @access  Private (Admin)
+router.get('/invites/:id/usage', validateObjectId, asyncHandler(async (req, res) => {
+  const invite = await Invite.findById(req.params.id)
+    .populate('createdBy', 'name username')
+    .populate('revokedBy', 'name username')
+    .populate('usedBy.user', 'name username email avatar phase createdAt');
+
+  if (!invite) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invite not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      _id: invite._id,
+      code: invite.code,
+      program: invite.program,
+      status: invite.status,
+      uses: invite.uses,
+      maxUses: invite.maxUses,
+      remainingUses: invite.remainingUses,
+      expiresAt: invite.expiresAt,
+      createdBy: invite.createdBy,
+      revokedBy: invite.revokedBy,
+      revokedAt: invite.revokedAt,
+      redemptions: invite.usedBy,
+    },
+  });
+}));
+
+// @desc    Revoke invite code
+// @route   PUT /api/admin/invites/:id/revoke
+// @access  Private (Admin)
+router.put('/invites/:id/revoke', validateObjectId, asyncHandler(async (req, res) => {
+  const invite = await Invite.findById(req.params.id);
+
+  if (!invite) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invite not found',
+    });
+  }
+
+  if (invite.isRevoked) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invite is already revoked',
+    });
+  }
+
+  invite.isRevoked = true;
+  invite.revokedAt = new Date();
+  invite.revokedBy = req.user._id;
+  await invite.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Invite revoked successfully',
+    data: invite,
   });
 }));
 
@@ -33,6 +33,7 @@ router.get('/:category', [
       'links',
       'moderation',
       'about',
+      'events',
     ])
     .withMessage('Invalid settings category'),
   handleValidationErrors,
@@ -54,6 +55,7 @@ router.put('/:category', [
       'links',
       'moderation',
       'about',
+      'events',
     ])
     .withMessage('Invalid settings category'),
   handleValidationErrors,
@@ -6,12 +6,19 @@ import {
   updateProfile,
   logout,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getSessions,
+  revokeSession,
 } from '../controllers/authController.js';
 import { authenticate } from '../middleware/auth.js';
 import {
   validateUserRegistration,
   validateUserLogin,
   validateUserUpdate,
+  validateObjectId,
   handleValidationErrors,
 } from '../middleware/validation.js';
 import { body } from 'express-validator';
@@ -23,6 +30,19 @@ const router = express.Router();
 router.post('/register', validateUserRegistration, register);
 router.post('/login', validateUserLogin, login);
 router.post('/refresh', refresh);
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email').normalizeEmail(),
+  handleValidationErrors,
+], forgotPassword);
+router.post('/reset-password/:token', [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  handleValidationErrors,
+], resetPassword);
+router.get('/verify-email/:token', verifyEmail);
 
 // Protected routes
 router.use(authenticate); // All routes after this middleware require authentication
@@ -30,6 +50,9 @@ router.use(authenticate); // All routes after this middleware require authentica
 router.get('/me', getMe);
 router.put('/profile', validateUserUpdate, updateProfile);
 router.post('/logout', logout);
+router.post('/resend-verification', resendVerificationEmail);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', validateObjectId, revokeSession);
 router.put('/password', [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword')
@@ -3,6 +3,12 @@ import {
   syncGoogleCalendar,
   exportToGoogleCalendar,
   scheduleEventReminders,
+  downloadEventIcs,
+  getCommunityFeed,
+  getUserFeed,
+  getMyFeed,
+  createMyFeed,
+  revokeMyFeed,
 } from '../controllers/calendarController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { body, param } from 'express-validator';
@@ -10,8 +16,42 @@ import { handleValidationErrors, validateObjectId } from '../middleware/validati
 
 const router = express.Router();
 
-// All calendar routes require admin authentication
+// @desc    Download event as .ics
+// @route   GET /api/calendar/events/:eventId.ics
+// @access  Public
+router.get('/events/:eventId.ics', [
+  param('eventId')
+    .isMongoId()
+    .withMessage('Invalid event ID'),
+  handleValidationErrors,
+], downloadEventIcs);
+
+// @desc    Community calendar feed
+// @route   GET /api/calendar/feeds/community.ics
+// @access  Public
+router.get('/feeds/community.ics', getCommunityFeed);
+
+// @desc    Personal calendar feed
+// @route   GET /api/calendar/feeds/users/:token.ics
+// @access  Public (secret token)
+router.get('/feeds/users/:token.ics', [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid feed token'),
+  handleValidationErrors,
+], getUserFeed);
+
 router.use(authenticate);
+
+// @desc    Manage personal calendar feed
+// @route   GET/POST/DELETE /api/calendar/feeds/me
+// @access  Private
+router.get('/feeds/me', getMyFeed);
+router.post('/feeds/me', createMyFeed);
+router.delete('/feeds/me', revokeMyFeed);
+
+// Remaining calendar routes require admin authentication
 router.use(authorize('admin'));
 
 // @desc    Sync events from Google Calendar
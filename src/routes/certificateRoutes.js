@@ -0,0 +1,47 @@
+import express from 'express';
+import { param, body } from 'express-validator';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  validateObjectId,
+  validatePagination,
+  handleValidationErrors,
+} from '../middleware/validation.js';
+import {
+  getMyCertificates,
+  getCertificate,
+  downloadCertificate,
+  verifyCertificate,
+  getAllCertificates,
+  revokeCertificate,
+} from '../controllers/certificateController.js';
+
+const router = express.Router();
+
+// Public verification (employers, parole officers, family court)
+router.get('/verify/:code', [
+  param('code')
+    .trim()
+    .isLength({ min: 6, max: 32 })
+    .withMessage('Invalid certificate code'),
+  handleValidationErrors,
+], verifyCertificate);
+
+router.use(authenticate);
+
+// Admin routes (static paths before /:id)
+router.get('/admin/all', authorize('admin'), validatePagination, getAllCertificates);
+router.put('/:id/revoke', authorize('admin'), [
+  validateObjectId,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors,
+], revokeCertificate);
+
+router.get('/', getMyCertificates);
+router.get('/:id', validateObjectId, getCertificate);
+router.get('/:id/download', validateObjectId, downloadCertificate);
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import Course from '../models/Course.js';
 import User from '../models/User.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import LearningSession from '../models/LearningSession.js';
 import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import {
@@ -10,7 +12,12 @@ import {
   validatePagination,
   handleValidationErrors,
 } from '../middleware/validation.js';
-import { param } from 'express-validator';
+import { param, body } from 'express-validator';
+import { POINT_VALUES } from '../utils/pointsCalculator.js';
+import { moderateContent } from '../utils/moderationUtils.js';
+import { getCourseAccess, getPrerequisiteTitles } from '../utils/courseAccess.js';
+import { syncEnrollmentProgress, handleCourseCompletion } from '../utils/courseProgress.js';
+import { updateStreak, getEffectiveStreak, STREAK_TYPES } from '../utils/streakTracker.js';
 import {
   logCourseEnrolled,
   logModuleCompleted
@@ -18,6 +25,31 @@ import {
 
 const router = express.Router();
 
+// Members must be this far through a course (percent) before they can review it
+const MIN_REVIEW_PROGRESS = 50;
+
+// Learning time needed in a session before it counts towards the weekly learning streak
+const MIN_STREAK_SESSION_SECONDS = 5 * 60;
+
+// Reviews as a viewer sees them: flagged ones only for their author and admins,
+// and helpful votes as a count rather than the list of voters
+const getVisibleReviews = (reviews, viewer) => {
+  const viewerId = viewer?._id?.toString();
+
+  return reviews
+    .filter(review => !review.isFlagged
+      || viewer?.role === 'admin'
+      || (review.user?._id || review.user)?.toString() === viewerId)
+    .map(review => ({
+      ...review.toObject(),
+      helpful: undefined,
+      helpfulCount: review.helpful.length,
+      isHelpfulByUser: viewerId
+        ? review.helpful.some(vote => vote.user.toString() === viewerId)
+        : false,
+    }));
+};
+
 // @desc    Get all courses
 // @route   GET /api/courses
 // @access  Public
@@ -75,15 +107,23 @@ router.get('/', optionalAuth, validatePagination, asyncHandler(async (req, res)
       sort = { enrollmentCount: -1 };
   }
 
-  // Execute query with pagination
+  // Execute query with pagination (reviews are served by GET /:id/reviews)
   const courses = await Course.find(query)
+    .select('-reviews')
     .sort(sort)
     .limit(limit * 1)
     .skip((page - 1) * limit)
     .lean();
 
-  // Add enrollment status for authenticated users
+  // Never send quiz answers to the client
+  courses.forEach(course => {
+    course.modules = (course.modules || []).map(module => Course.sanitizeModule(module));
+  });
+
+  // Add enrollment status and learning path lock state for authenticated users
   if (req.user) {
+    const prerequisiteTitles = await getPrerequisiteTitles(courses);
+
     courses.forEach(course => {
       course.isEnrolled = req.user.courses.some(
         userCourse => userCourse.courseId.toString() === course._id.toString()
@@ -93,6 +133,7 @@ router.get('/', optionalAuth, validatePagination, asyncHandler(async (req, res)
         uc => uc.courseId.toString() === course._id.toString()
       );
       course.userProgress = userCourse ? userCourse.progress : 0;
+      course.access = getCourseAccess(course, req.user, prerequisiteTitles);
     });
   }
 
@@ -144,6 +185,25 @@ router.post('/:id/enroll', authenticate, validateObjectId, logCourseEnrolled, as
     });
   }
 
+  // Enforce phase gating and prerequisites (admins and per-user overrides skip this)
+  const access = getCourseAccess(course, user, await getPrerequisiteTitles([course]));
+  if (access.isLocked) {
+    const reasons = [];
+    if (access.missingRequirements.phase) {
+      reasons.push(`this course requires ${access.missingRequirements.phase}`);
+    }
+    if (access.missingRequirements.prerequisites.length > 0) {
+      reasons.push('prerequisite courses must be completed first');
+    }
+
+    return res.status(403).json({
+      success: false,
+      code: 'COURSE_LOCKED',
+      message: `Course is locked: ${reasons.join(' and ')}`,
+      missingRequirements: access.missingRequirements,
+    });
+  }
+
   // Add course to user's courses
   user.courses.push({
     courseId,
@@ -176,7 +236,8 @@ router.post('/:id/enroll', authenticate, validateObjectId, logCourseEnrolled, as
 // @route   PUT /api/courses/:id/progress
 // @access  Private
 router.put('/:id/progress', authenticate, validateObjectId, logModuleCompleted, asyncHandler(async (req, res) => {
-  const { moduleId, completed, progress } = req.body;
+  // Progress is always derived from completed modules; any client-sent `progress` is ignored
+  const { moduleId, completed } = req.body;
   const courseId = req.params.id;
   const userId = req.user._id;
 
@@ -203,33 +264,65 @@ router.put('/:id/progress', authenticate, validateObjectId, logModuleCompleted,
 
   // Update module completion
   if (moduleId && completed) {
+    const module = course.modules.id(moduleId);
+
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found',
+      });
+    }
+
+    // Modules unlock in order: earlier required modules must be finished first
+    if (!course.isModuleUnlocked(moduleId, userCourse.completedModules)) {
+      return res.status(400).json({
+        success: false,
+        code: 'MODULE_LOCKED',
+        message: 'Complete the earlier required modules first',
+      });
+    }
+
+    // Required modules with a quiz can only be completed once the quiz is passed
+    if (module.isRequired && module.quiz.length > 0 && !userCourse.completedModules.includes(moduleId)) {
+      const quizPassed = await QuizAttempt.hasPassed(userId, courseId, moduleId);
+      if (!quizPassed) {
+        return res.status(400).json({
+          success: false,
+          code: 'QUIZ_NOT_PASSED',
+          message: `Pass the module quiz (${course.getPassingScore(module)}% or higher) to complete this module`,
+        });
+      }
+    }
+
     if (!userCourse.completedModules.includes(moduleId)) {
       userCourse.completedModules.push(moduleId);
 
       // Award points for module completion
-      await user.addPoints(10, `Completed module in ${course.title}`);
+      await user.addPoints(POINT_VALUES.COMPLETE_MODULE, `Completed module in ${course.title}`);
     }
   }
 
-  // Update overall progress
-  if (progress !== undefined) {
-    userCourse.progress = Math.min(100, Math.max(0, progress));
-
-    // Award points for course completion (only when crossing to 100)
-    if (progress !== undefined && userCourse.progress < 100 && Math.min(100, Math.max(0, progress)) === 100) {
-      await user.addPoints(50, `Completed course: ${course.title}`);
-    }
-  }
+  const courseCompleted = syncEnrollmentProgress(userCourse, course);
 
   userCourse.lastAccessed = new Date();
   await user.save();
 
+  // Completion side effects fire exactly once, when completedAt is first set
+  let certificate = null;
+  if (courseCompleted) {
+    certificate = await handleCourseCompletion(user, course, { req, completedAt: userCourse.completedAt });
+  }
+
   res.status(200).json({
     success: true,
-    message: 'Progress updated successfully',
+    message: courseCompleted ? 'Course completed!' : 'Progress updated successfully',
     data: {
       progress: userCourse.progress,
       completedModules: userCourse.completedModules,
+      unlockedModules: course.getUnlockedModuleIds(userCourse.completedModules),
+      completedAt: userCourse.completedAt,
+      courseCompleted,
+      certificate,
     },
   });
 }));
@@ -243,6 +336,7 @@ router.get('/my-courses', authenticate, asyncHandler(async (req, res) => {
 
   const enrolledCourses = user.courses.map(userCourse => ({
     ...userCourse.courseId.toJSON(),
+    modules: userCourse.courseId.modules.map(module => Course.sanitizeModule(module)),
     enrolledAt: userCourse.enrolledAt,
     progress: userCourse.progress,
     completedModules: userCourse.completedModules,
@@ -255,6 +349,185 @@ router.get('/my-courses', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get personal learning dashboard
+// @route   GET /api/courses/dashboard
+// @access  Private
+router.get('/dashboard', authenticate, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select('courses streaks')
+    .populate('courses.courseId', 'title thumbnail category phase modules');
+
+  const weekStart = new Date();
+  weekStart.setHours(0, 0, 0, 0);
+  weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+  const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  const [timeByCourse, dailyTime] = await Promise.all([
+    LearningSession.aggregate([
+      { $match: { user: user._id } },
+      {
+        $group: {
+          _id: '$course',
+          seconds: { $sum: '$durationSeconds' },
+          weekSeconds: {
+            $sum: { $cond: [{ $gte: ['$startedAt', weekStart] }, '$durationSeconds', 0] },
+          },
+          lastActivityAt: { $max: '$lastActivityAt' },
+        },
+      },
+    ]),
+    LearningSession.aggregate([
+      { $match: { user: user._id, startedAt: { $gte: sevenDaysAgo } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } },
+          minutes: { $sum: { $divide: ['$durationSeconds', 60] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  const timeMap = new Map(timeByCourse.map(entry => [entry._id.toString(), entry]));
+  const totalSeconds = timeByCourse.reduce((sum, entry) => sum + entry.seconds, 0);
+  const weekSeconds = timeByCourse.reduce((sum, entry) => sum + entry.weekSeconds, 0);
+
+  const courses = await Promise.all(user.courses
+    .filter(userCourse => userCourse.courseId)
+    .map(async userCourse => {
+      const course = userCourse.courseId;
+      const time = timeMap.get(course._id.toString());
+      const nextModule = userCourse.progress < 100 ? course.getNextModule(userCourse.completedModules) : null;
+
+      return {
+        courseId: course._id,
+        title: course.title,
+        thumbnail: course.thumbnail,
+        category: course.category,
+        progress: userCourse.progress,
+        completedAt: userCourse.completedAt,
+        enrolledAt: userCourse.enrolledAt,
+        lastAccessed: time?.lastActivityAt || userCourse.lastAccessed,
+        timeSpentMinutes: Math.round((time?.seconds || 0) / 60),
+        totalDurationMinutes: course.totalDurationMinutes,
+        estimatedMinutesRemaining: course.getRemainingMinutes(userCourse.completedModules),
+        nextModule: nextModule
+          ? {
+            _id: nextModule._id,
+            title: nextModule.title,
+            order: nextModule.order,
+            videoUrl: nextModule.videoUrl,
+            resume: await LearningSession.getResumePosition(user._id, course._id, nextModule._id),
+          }
+          : null,
+      };
+    }));
+
+  // "Continue where you left off": unfinished courses, most recently studied first
+  const continueLearning = courses
+    .filter(course => course.progress < 100 && course.nextModule)
+    .sort((a, b) => new Date(b.lastAccessed || 0) - new Date(a.lastAccessed || 0))
+    .slice(0, 5);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      totalLearningHours: Math.round((totalSeconds / 3600) * 10) / 10,
+      learningHoursThisWeek: Math.round((weekSeconds / 3600) * 10) / 10,
+      dailyMinutes: dailyTime.map(day => ({ date: day._id, minutes: Math.round(day.minutes) })),
+      learningStreak: {
+        currentWeeks: getEffectiveStreak(user.streaks?.course, STREAK_TYPES.COURSE),
+        longestWeeks: user.streaks?.course?.longest || 0,
+      },
+      coursesInProgress: courses.filter(course => course.progress < 100).length,
+      coursesCompleted: courses.filter(course => course.progress === 100).length,
+      estimatedMinutesRemaining: courses.reduce((sum, course) => sum + course.estimatedMinutesRemaining, 0),
+      continueLearning,
+      courses,
+    },
+  });
+}));
+
+// Add time to a session and count it towards the weekly learning streak once it is long enough
+const recordSessionActivity = async (session, position) => {
+  session.recordActivity(position);
+
+  if (!session.countedForStreak && session.durationSeconds >= MIN_STREAK_SESSION_SECONDS) {
+    session.countedForStreak = true;
+    await updateStreak(session.user, STREAK_TYPES.COURSE);
+  }
+
+  await session.save();
+};
+
+// Load an open learning session owned by the current user
+const findOpenSession = async (req, res) => {
+  const session = await LearningSession.findOne({ _id: req.params.sessionId, user: req.user._id });
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Learning session not found',
+    });
+    return null;
+  }
+
+  if (session.endedAt) {
+    res.status(400).json({
+      success: false,
+      message: 'Learning session has already ended',
+    });
+    return null;
+  }
+
+  return session;
+};
+
+const validateSessionUpdate = [
+  param('sessionId').isMongoId().withMessage('Invalid session ID'),
+  body('position')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Position must be a positive number of seconds'),
+  handleValidationErrors,
+];
+
+// @desc    Record a heartbeat for a learning session
+// @route   PUT /api/courses/learning-sessions/:sessionId/heartbeat
+// @access  Private
+router.put('/learning-sessions/:sessionId/heartbeat', authenticate, validateSessionUpdate, asyncHandler(async (req, res) => {
+  const session = await findOpenSession(req, res);
+  if (!session) return;
+
+  await recordSessionActivity(session, req.body.position);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessionId: session._id,
+      durationSeconds: session.durationSeconds,
+      lastPosition: session.lastPosition,
+    },
+  });
+}));
+
+// @desc    Stop a learning session
+// @route   PUT /api/courses/learning-sessions/:sessionId/stop
+// @access  Private
+router.put('/learning-sessions/:sessionId/stop', authenticate, validateSessionUpdate, asyncHandler(async (req, res) => {
+  const session = await findOpenSession(req, res);
+  if (!session) return;
+
+  session.endedAt = new Date();
+  await recordSessionActivity(session, req.body.position);
+
+  res.status(200).json({
+    success: true,
+    message: 'Learning session ended',
+    data: session,
+  });
+}));
+
 // @desc    Get course module
 // @route   GET /api/courses/:courseId/modules/:moduleId
 // @access  Private
@@ -303,11 +576,605 @@ router.get('/:courseId/modules/:moduleId',
     // Check if module is completed
     const isCompleted = userCourse.completedModules.includes(moduleId);
 
+    if (!isCompleted && !course.isModuleUnlocked(moduleId, userCourse.completedModules)) {
+      return res.status(403).json({
+        success: false,
+        code: 'MODULE_LOCKED',
+        message: 'Complete the earlier required modules first',
+      });
+    }
+
+    const quizStatus = module.quiz.length > 0
+      ? {
+        questionCount: module.quiz.length,
+        passingScore: course.getPassingScore(module),
+        ...(await QuizAttempt.getSummary(req.user._id, courseId, moduleId)),
+      }
+      : null;
+
     res.status(200).json({
       success: true,
       data: {
-        ...module.toJSON(),
+        ...Course.sanitizeModule(module),
         isCompleted,
+        quizStatus,
+        resume: await LearningSession.getResumePosition(req.user._id, courseId, moduleId),
+      },
+    });
+  })
+);
+
+// Shared validators for quiz routes
+const validateModuleParams = [
+  param('courseId').isMongoId().withMessage('Invalid course ID'),
+  param('moduleId').isMongoId().withMessage('Invalid module ID'),
+];
+
+// @desc    Submit answers for a module quiz
+// @route   POST /api/courses/:courseId/modules/:moduleId/quiz/attempts
+// @access  Private
+router.post('/:courseId/modules/:moduleId/quiz/attempts',
+  authenticate,
+  [
+    ...validateModuleParams,
+    body('answers').isArray({ min: 1 }).withMessage('Answers must be a non-empty array'),
+    body('answers.*.questionId').isMongoId().withMessage('Invalid question ID'),
+    body('answers.*.answer').isInt({ min: 0 }).withMessage('Answer must be an option index'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const { courseId, moduleId } = req.params;
+    const { answers } = req.body;
+
+    const course = await Course.findById(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const userCourse = req.user.courses.find(
+      uc => uc.courseId.toString() === courseId
+    );
+
+    if (!userCourse) {
+      return res.status(403).json({
+        success: false,
+        message: 'Must be enrolled to take this quiz',
+      });
+    }
+
+    const module = course.modules.id(moduleId);
+
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found',
+      });
+    }
+
+    if (module.quiz.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This module does not have a quiz',
+      });
+    }
+
+    // Grade every question server-side; unanswered questions count as wrong
+    const submitted = new Map(answers.map(a => [a.questionId.toString(), Number(a.answer)]));
+    const gradedAnswers = module.quiz.map(question => {
+      const selectedAnswer = submitted.has(question._id.toString())
+        ? submitted.get(question._id.toString())
+        : null;
+      return {
+        questionId: question._id,
+        selectedAnswer,
+        isCorrect: selectedAnswer !== null && selectedAnswer === question.correctAnswer,
+      };
+    });
+
+    const correctCount = gradedAnswers.filter(a => a.isCorrect).length;
+    const score = Math.round((correctCount / module.quiz.length) * 100);
+    const passingScore = course.getPassingScore(module);
+    const passed = score >= passingScore;
+
+    const alreadyPassed = await QuizAttempt.hasPassed(req.user._id, courseId, moduleId);
+    const previousAttempts = await QuizAttempt.countDocuments({
+      user: req.user._id,
+      course: courseId,
+      moduleId,
+    });
+
+    const attempt = await QuizAttempt.create({
+      user: req.user._id,
+      course: courseId,
+      moduleId,
+      answers: gradedAnswers,
+      correctCount,
+      totalQuestions: module.quiz.length,
+      score,
+      passingScore,
+      passed,
+      attemptNumber: previousAttempts + 1,
+    });
+
+    // Award points the first time the quiz is passed (claimed atomically against concurrent submissions)
+    let pointsAwarded = 0;
+    if (passed && !alreadyPassed && await QuizAttempt.claimReward(attempt)) {
+      pointsAwarded = POINT_VALUES.PASS_QUIZ + (score === 100 ? POINT_VALUES.PERFECT_QUIZ_BONUS : 0);
+      await req.user.addPoints(pointsAwarded, `Passed quiz: ${module.title}`);
+    }
+
+    // Answers and explanations are only revealed once the quiz has been passed
+    const revealAnswers = passed || alreadyPassed;
+
+    res.status(201).json({
+      success: true,
+      message: passed ? 'Quiz passed' : `Quiz not passed. You need ${passingScore}% to pass`,
+      data: {
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        score,
+        correctCount,
+        totalQuestions: module.quiz.length,
+        passingScore,
+        passed,
+        pointsAwarded,
+        results: gradedAnswers.map((answer, index) => ({
+          ...answer,
+          ...(revealAnswers && {
+            correctAnswer: module.quiz[index].correctAnswer,
+            explanation: module.quiz[index].explanation,
+          }),
+        })),
+      },
+    });
+  })
+);
+
+// @desc    Get the current user's attempts for a module quiz
+// @route   GET /api/courses/:courseId/modules/:moduleId/quiz/attempts
+// @access  Private
+router.get('/:courseId/modules/:moduleId/quiz/attempts',
+  authenticate,
+  [...validateModuleParams, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const { courseId, moduleId } = req.params;
+
+    const course = await Course.findById(courseId).select('modules quizPassingScore');
+    const module = course?.modules.id(moduleId);
+
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found',
+      });
+    }
+
+    const attempts = await QuizAttempt.find({ user: req.user._id, course: courseId, moduleId })
+      .select('-answers')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        passingScore: course.getPassingScore(module),
+        ...(await QuizAttempt.getSummary(req.user._id, courseId, moduleId)),
+        history: attempts,
+      },
+    });
+  })
+);
+
+// @desc    Start a learning session on a module
+// @route   POST /api/courses/:courseId/modules/:moduleId/sessions
+// @access  Private
+router.post('/:courseId/modules/:moduleId/sessions',
+  authenticate,
+  [...validateModuleParams, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const { courseId, moduleId } = req.params;
+
+    const course = await Course.findById(courseId);
+    const module = course?.modules.id(moduleId);
+
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found',
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const userCourse = user.courses.find(
+      uc => uc.courseId.toString() === courseId
+    );
+
+    if (!userCourse) {
+      return res.status(403).json({
+        success: false,
+        message: 'Must be enrolled to access course content',
+      });
+    }
+
+    if (!userCourse.completedModules.includes(moduleId)
+      && !course.isModuleUnlocked(moduleId, userCourse.completedModules)) {
+      return res.status(403).json({
+        success: false,
+        code: 'MODULE_LOCKED',
+        message: 'Complete the earlier required modules first',
+      });
+    }
+
+    // Only one session is open at a time per member
+    await LearningSession.closeOpenSessions(user._id);
+
+    const resume = await LearningSession.getResumePosition(user._id, courseId, moduleId);
+    const session = await LearningSession.create({
+      user: user._id,
+      course: courseId,
+      moduleId,
+      lastPosition: resume?.position || 0,
+    });
+
+    userCourse.lastAccessed = new Date();
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        sessionId: session._id,
+        resumePosition: resume?.position || 0,
+        startedAt: session.startedAt,
+      },
+    });
+  })
+);
+
+// Validators shared by review create/edit
+const validateReview = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+];
+
+const validateReviewParams = [
+  param('id').isMongoId().withMessage('Invalid course ID'),
+  param('reviewId').isMongoId().withMessage('Invalid review ID'),
+];
+
+// Run the review comment through content moderation; returns an error body if it must be blocked
+const moderateReviewComment = (comment) => {
+  if (!comment) return { moderationResult: null, blocked: null };
+
+  const moderationResult = moderateContent(comment, {
+    strictMode: false,
+    contextAware: true,
+  });
+
+  const blocked = moderationResult.shouldBlock
+    ? {
+      success: false,
+      message: 'Review violates community guidelines',
+      moderation: {
+        flagged: true,
+        issues: moderationResult.issues || [],
+        severity: moderationResult.severity || 0,
+      },
+    }
+    : null;
+
+  return { moderationResult, blocked };
+};
+
+// @desc    Get course reviews
+// @route   GET /api/courses/:id/reviews
+// @access  Public
+router.get('/:id/reviews', validateObjectId, optionalAuth, validatePagination, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sortBy = 'newest' } = req.query;
+
+  const course = await Course.findById(req.params.id)
+    .select('reviews rating isPublished')
+    .populate('reviews.user', 'name username avatar level');
+
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+  }
+
+  // Flagged reviews are only shown to their author and admins
+  const reviews = getVisibleReviews(course.reviews, req.user);
+
+  switch (sortBy) {
+    case 'helpful':
+      reviews.sort((a, b) => b.helpfulCount - a.helpfulCount || b.timestamp - a.timestamp);
+      break;
+    case 'highest':
+      reviews.sort((a, b) => b.rating - a.rating || b.timestamp - a.timestamp);
+      break;
+    case 'lowest':
+      reviews.sort((a, b) => a.rating - b.rating || b.timestamp - a.timestamp);
+      break;
+    default:
+      reviews.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  // Star distribution for the rating summary (flagged reviews don't count, as in the average)
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  course.reviews.filter(review => !review.isFlagged).forEach(review => {
+    distribution[review.rating] += 1;
+  });
+
+  const total = reviews.length;
+  const start = (page - 1) * limit;
+
+  res.status(200).json({
+    success: true,
+    data: reviews.slice(start, start + limit * 1),
+    summary: {
+      average: course.rating.average,
+      count: course.rating.count,
+      distribution,
+    },
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+  });
+}));
+
+// @desc    Add course review
+// @route   POST /api/courses/:id/reviews
+// @access  Private
+router.post('/:id/reviews',
+  authenticate,
+  validateObjectId,
+  [...validateReview, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const { rating, comment } = req.body;
+
+    const course = await Course.findById(req.params.id);
+
+    if (!course || !course.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const userCourse = req.user.courses.find(
+      uc => uc.courseId.toString() === course._id.toString()
+    );
+
+    if (!userCourse) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be enrolled in this course to review it',
+      });
+    }
+
+    if (userCourse.progress < MIN_REVIEW_PROGRESS) {
+      return res.status(403).json({
+        success: false,
+        message: `Complete at least ${MIN_REVIEW_PROGRESS}% of the course before reviewing it`,
+      });
+    }
+
+    // Check if user already reviewed
+    const existingReview = course.reviews.find(
+      review => review.user.toString() === req.user._id.toString()
+    );
+
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this course',
+      });
+    }
+
+    const { moderationResult, blocked } = moderateReviewComment(comment);
+    if (blocked) {
+      return res.status(400).json(blocked);
+    }
+
+    course.reviews.push({
+      user: req.user._id,
+      rating,
+      comment,
+      isFlagged: Boolean(moderationResult?.shouldFlag),
+    });
+
+    await course.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: course.reviews[course.reviews.length - 1],
+      rating: course.rating,
+    });
+  })
+);
+
+// @desc    Update course review
+// @route   PUT /api/courses/:id/reviews/:reviewId
+// @access  Private
+router.put('/:id/reviews/:reviewId',
+  authenticate,
+  [...validateReviewParams, ...validateReview, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const { rating, comment } = req.body;
+
+    const course = await Course.findById(req.params.id);
+    const review = course?.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this review',
+      });
+    }
+
+    const { moderationResult, blocked } = moderateReviewComment(comment);
+    if (blocked) {
+      return res.status(400).json(blocked);
+    }
+
+    review.rating = rating;
+    if (comment !== undefined) review.comment = comment;
+    review.isFlagged = Boolean(moderationResult?.shouldFlag);
+    review.editedAt = new Date();
+
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review,
+      rating: course.rating,
+    });
+  })
+);
+
+// @desc    Delete course review
+// @route   DELETE /api/courses/:id/reviews/:reviewId
+// @access  Private (owner or admin)
+router.delete('/:id/reviews/:reviewId',
+  authenticate,
+  [...validateReviewParams, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const course = await Course.findById(req.params.id);
+    const review = course?.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this review',
+      });
+    }
+
+    course.reviews.pull(review._id);
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      rating: course.rating,
+    });
+  })
+);
+
+// @desc    Approve (clear the flag) or reject (remove) a flagged course review
+// @route   PUT /api/courses/:id/reviews/:reviewId/moderate
+// @access  Private (Admin)
+router.put('/:id/reviews/:reviewId/moderate',
+  authenticate,
+  authorize('admin'),
+  [
+    ...validateReviewParams,
+    body('action')
+      .isIn(['approve', 'reject'])
+      .withMessage('Action must be approve or reject'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const course = await Course.findById(req.params.id);
+    const review = course?.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    // Either way the rating is recalculated on save (approved reviews count again)
+    if (req.body.action === 'approve') {
+      review.isFlagged = false;
+      review.moderatedBy = req.user._id;
+      review.moderatedAt = new Date();
+    } else {
+      course.reviews.pull(review._id);
+    }
+
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: req.body.action === 'approve' ? 'Review approved' : 'Review rejected and removed',
+      data: req.body.action === 'approve' ? review : undefined,
+      rating: course.rating,
+    });
+  })
+);
+
+// @desc    Mark/unmark a course review as helpful
+// @route   PUT /api/courses/:id/reviews/:reviewId/helpful
+// @access  Private
+router.put('/:id/reviews/:reviewId/helpful',
+  authenticate,
+  [...validateReviewParams, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const course = await Course.findById(req.params.id);
+    const review = course?.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    if (review.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot mark your own review as helpful',
+      });
+    }
+
+    const existingVote = review.helpful.find(
+      vote => vote.user.toString() === req.user._id.toString()
+    );
+
+    if (existingVote) {
+      review.helpful.pull(existingVote._id);
+    } else {
+      review.helpful.push({ user: req.user._id });
+    }
+
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: existingVote ? 'Helpful vote removed' : 'Review marked as helpful',
+      data: {
+        isHelpful: !existingVote,
+        helpfulCount: review.helpful.length,
       },
     });
   })
@@ -330,6 +1197,7 @@ router.get('/:id', validateObjectId, optionalAuth, asyncHandler(async (req, res)
   let isEnrolled = false;
   let userProgress = 0;
   let completedModules = [];
+  const access = getCourseAccess(course, req.user, await getPrerequisiteTitles([course]));
 
   if (req.user) {
     const userCourse = req.user.courses.find(
@@ -347,9 +1215,16 @@ router.get('/:id', validateObjectId, optionalAuth, asyncHandler(async (req, res)
     success: true,
     data: {
       ...course.toJSON(),
+      reviews: getVisibleReviews(course.reviews, req.user),
+      modules: course.getOrderedModules().map(module => ({
+        ...Course.sanitizeModule(module),
+        isCompleted: completedModules.includes(module._id.toString()),
+        isUnlocked: isEnrolled && course.isModuleUnlocked(module._id, completedModules),
+      })),
       isEnrolled,
       userProgress,
       completedModules,
+      access,
     },
   });
 }));
@@ -416,4 +1291,82 @@ router.delete('/:id', validateObjectId, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Unlock a course for a member regardless of phase/prerequisites
+// @route   POST /api/courses/:id/access-overrides/:userId
+// @access  Private (Admin)
+router.post('/:id/access-overrides/:userId',
+  [
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const course = await Course.findById(req.params.id).select('title');
+    const user = await User.findById(req.params.userId);
+
+    if (!course || !user) {
+      return res.status(404).json({
+        success: false,
+        message: course ? 'User not found' : 'Course not found',
+      });
+    }
+
+    const alreadyGranted = user.courseAccessOverrides.some(
+      override => override.course.toString() === course._id.toString()
+    );
+
+    if (!alreadyGranted) {
+      user.courseAccessOverrides.push({
+        course: course._id,
+        grantedBy: req.user._id,
+        reason: req.body.reason,
+      });
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${course.title} unlocked for ${user.name}`,
+      data: user.courseAccessOverrides,
+    });
+  })
+);
+
+// @desc    Remove a member's course access override
+// @route   DELETE /api/courses/:id/access-overrides/:userId
+// @access  Private (Admin)
+router.delete('/:id/access-overrides/:userId',
+  [
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    user.courseAccessOverrides = user.courseAccessOverrides.filter(
+      override => override.course.toString() !== req.params.id
+    );
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Course access override removed',
+      data: user.courseAccessOverrides,
+    });
+  })
+);
+
 export default router;
\ No newline at end of file
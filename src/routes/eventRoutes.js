@@ -1,36 +1,112 @@
 import express from 'express';
 import Event from '../models/Event.js';
+import User from '../models/User.js';
 import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import {
   validateEvent,
+  validateEventUpdate,
   validateObjectId,
   validatePagination,
   handleValidationErrors,
 } from '../middleware/validation.js';
-import { param } from 'express-validator';
+import { param, body, query as queryParam } from 'express-validator';
 import {
   logEventJoined
 } from '../middleware/activityLogger.js';
+import { notifyWaitlistPromotions, notifyEventCancelled } from '../utils/eventNotifier.js';
+import { publishEventResources } from '../utils/eventLifecycle.js';
+import { generateOccurrences, updateEvent, cancelEvent } from '../utils/eventRecurrence.js';
+import { recordAttendance } from '../utils/eventAttendance.js';
+import {
+  SURVEY_QUESTION_KINDS,
+  getFeedbackSurvey,
+  validateSurveyAnswers,
+  buildFeedbackReport,
+} from '../utils/eventFeedback.js';
+import { moderateContent } from '../utils/moderationUtils.js';
+import AdminSettings from '../models/AdminSettings.js';
 
 const router = express.Router();
 
+const EVENT_TYPES = Event.schema.path('type').enumValues;
+
+// Award the RSVP points to members promoted off the waitlist
+const awardPromotionPoints = async (event, promotedAttendees) => {
+  for (const attendee of promotedAttendees) {
+    const user = await User.findById(attendee.user);
+    if (user) {
+      await user.addPoints(5, `RSVP'd to ${event.title}`);
+    }
+  }
+};
+
+// Recurring event fields (a series is created with isRecurring + recurringPattern)
+const validateRecurrence = [
+  body('recurringPattern.frequency')
+    .if(body('isRecurring').equals('true'))
+    .isIn(['weekly', 'biweekly', 'monthly'])
+    .withMessage('Recurring events need a frequency of weekly, biweekly or monthly'),
+  body('recurringPattern.daysOfWeek')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Days of week must be an array'),
+  body('recurringPattern.daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('recurringPattern.endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid end date format'),
+  body('scope')
+    .optional()
+    .isIn(['this', 'future'])
+    .withMessage('Scope must be "this" or "future"'),
+  handleValidationErrors,
+];
+
+// Events that haven't started yet, or have started and are still live
+const upcomingCondition = () => ({ $or: [{ date: { $gte: new Date() } }, { status: 'live' }] });
+
+// Attendee lists and occurrence bookkeeping are managed by the server
+const pickEventUpdates = ({ scope, series, occurrenceDate, generatedUntil, isException, attendees, ...updates }) => updates;
+
+// Reward and notify members moved off waitlists by an admin edit
+const handlePromotions = async (promotions = []) => {
+  for (const { event, promoted } of promotions) {
+    await awardPromotionPoints(event, promoted);
+    notifyWaitlistPromotions(event, promoted);
+  }
+};
+
 // @desc    Get all events
 // @route   GET /api/events
 // @access  Public
-router.get('/', optionalAuth, validatePagination, asyncHandler(async (req, res) => {
+router.get('/', optionalAuth, validatePagination, [
+  queryParam('series')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid series ID'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
   const {
     page = 1,
     limit = 10,
     type,
     phase,
-    status = 'scheduled',
+    status,
     upcoming = false,
-    search
+    search,
+    series
   } = req.query;
 
-  // Build query
-  const query = { status };
+  // Build query (recurring series are templates; their occurrences are listed instead).
+  // By default events that are live right now are listed along with the scheduled ones.
+  const query = { status: status || { $in: ['scheduled', 'live'] }, isRecurring: { $ne: true } };
+
+  if (series) {
+    query.series = series;
+  }
 
   if (type && type !== 'all') {
     query.type = type;
@@ -41,7 +117,7 @@ router.get('/', optionalAuth, validatePagination, asyncHandler(async (req, res)
   }
 
   if (upcoming === 'true') {
-    query.date = { $gte: new Date() };
+    query.$and = [upcomingCondition()];
   }
 
   if (search) {
@@ -94,15 +170,14 @@ router.get('/', optionalAuth, validatePagination, asyncHandler(async (req, res)
 // @route   GET /api/events/my-events
 // @access  Private
 router.get('/my-events', authenticate, asyncHandler(async (req, res) => {
-  const { upcoming = true } = req.query;
+  const { upcoming = 'true' } = req.query;
 
   const query = {
-    'attendees.user': req.user._id,
-    'attendees.status': 'going',
+    attendees: { $elemMatch: { user: req.user._id, status: 'going' } },
   };
 
   if (upcoming === 'true') {
-    query.date = { $gte: new Date() };
+    query.$and = [upcomingCondition()];
   }
 
   const events = await Event.find(query)
@@ -119,6 +194,7 @@ router.get('/my-events', authenticate, asyncHandler(async (req, res) => {
 // @access  Public
 router.get('/:id', validateObjectId, optionalAuth, asyncHandler(async (req, res) => {
   const event = await Event.findById(req.params.id)
+    .select('+zoomLink +meetingId +passcode')
     .populate('attendees.user', 'name username avatar level')
     .populate('feedback.user', 'name username avatar');
 
@@ -132,24 +208,49 @@ router.get('/:id', validateObjectId, optionalAuth, asyncHandler(async (req, res)
   // Check user attendance status
   let isUserAttending = false;
   let userRSVPStatus = null;
+  let waitlistPosition = null;
 
   if (req.user) {
     const userRSVP = event.attendees.find(
-      attendee => attendee.user._id.toString() === req.user._id.toString()
+      attendee => attendee.user?._id.toString() === req.user._id.toString()
     );
 
     if (userRSVP) {
       isUserAttending = userRSVP.status === 'going';
       userRSVPStatus = userRSVP.status;
+      waitlistPosition = userRSVP.waitlistPosition || null;
     }
   }
 
+  // A recurring series lists its next occurrences (RSVPs are made on those)
+  let upcomingOccurrences;
+  if (event.isSeries) {
+    upcomingOccurrences = await Event.find({
+      series: event._id,
+      date: { $gte: new Date() },
+    })
+      .select('title date duration status maxAttendees attendees isException')
+      .sort({ date: 1 })
+      .limit(10);
+  }
+
+  // Zoom link, meeting ID and passcode are only shown to attendees shortly before the start
+  const canViewMeetingDetails = event.canViewMeetingDetails(req.user);
+  const { zoomLink, meetingId, passcode, ...eventData } = event.toJSON();
+
   res.status(200).json({
     success: true,
     data: {
-      ...event.toJSON(),
+      ...eventData,
+      ...(canViewMeetingDetails ? { zoomLink, meetingId, passcode } : {}),
+      meetingDetails: {
+        available: canViewMeetingDetails,
+        availableAt: event.getMeetingDetailsWindow().opensAt,
+      },
       isUserAttending,
       userRSVPStatus,
+      waitlistPosition,
+      upcomingOccurrences,
     },
   });
 }));
@@ -176,32 +277,231 @@ router.put('/:id/rsvp', authenticate, validateObjectId, logEventJoined, asyncHan
     });
   }
 
-  // Check if event is full (for 'going' status)
-  if (status === 'going' && event.maxAttendees) {
-    const goingCount = event.attendees.filter(a => a.status === 'going').length;
-    if (goingCount >= event.maxAttendees) {
-      return res.status(400).json({
-        success: false,
-        message: 'Event is full',
-      });
-    }
+  if (event.isSeries) {
+    return res.status(400).json({
+      success: false,
+      message: 'This is a recurring event - RSVP to one of its occurrences instead',
+      code: 'RECURRING_SERIES',
+    });
   }
 
-  // Update RSVP
-  await event.addAttendee(req.user._id, status);
+  if (['completed', 'cancelled'].includes(event.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot RSVP to a ${event.status} event`,
+    });
+  }
+
+  // Update RSVP (a full event puts 'going' RSVPs on the waitlist)
+  const result = await event.addAttendee(req.user._id, status);
 
-  // Award points for RSVPing
-  if (status === 'going') {
+  // Award points for RSVPing (only when a spot is actually taken, not on repeat RSVPs)
+  if (result.status === 'going' && result.previousStatus !== 'going') {
     await req.user.addPoints(5, `RSVP'd to ${event.title}`);
   }
 
+  // Anyone moved off the waitlist by this change also gets the RSVP points
+  if (result.promoted.length > 0) {
+    await awardPromotionPoints(event, result.promoted);
+    notifyWaitlistPromotions(event, result.promoted);
+  }
+
   res.status(200).json({
     success: true,
-    message: `RSVP updated to ${status}`,
+    message: result.status === 'waitlisted'
+      ? `Event is full - you are #${result.waitlistPosition} on the waitlist`
+      : `RSVP updated to ${result.status}`,
     data: {
-      status,
+      status: result.status,
+      waitlistPosition: result.waitlistPosition,
       attendeeCount: event.attendeeCount,
       spotsRemaining: event.spotsRemaining,
+      waitlistCount: event.waitlistCount,
+    },
+  });
+}));
+
+// @desc    Check in to event (self-service, with the on-screen code or a QR token)
+// @route   POST /api/events/:id/check-in
+// @access  Private
+router.post('/:id/check-in', authenticate, [
+  validateObjectId,
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 12 })
+    .withMessage('Invalid check-in code'),
+  body('token')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Invalid check-in token'),
+  body()
+    .custom(value => Boolean(value.code || value.token))
+    .withMessage('A check-in code or QR token is required'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id).select('+checkInCode +checkInSecret');
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  if (!event.isCheckInOpen()) {
+    const { opensAt, closesAt } = event.getCheckInWindow();
+    return res.status(400).json({
+      success: false,
+      message: event.status === 'cancelled'
+        ? 'This event was cancelled'
+        : `Check-in is open from ${opensAt.toISOString()} to ${closesAt.toISOString()}`,
+      code: 'CHECK_IN_CLOSED',
+    });
+  }
+
+  const method = event.checkInCode ? event.verifyCheckIn(req.body) : null;
+  if (!method) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired check-in code',
+      code: 'INVALID_CHECK_IN',
+    });
+  }
+
+  const result = await recordAttendance(event, req.user._id, { method, req });
+
+  res.status(200).json({
+    success: true,
+    message: result.alreadyCheckedIn
+      ? 'You are already checked in'
+      : `Checked in to ${event.title}`,
+    data: {
+      checkedIn: true,
+      pointsAwarded: result.pointsAwarded,
+    },
+  });
+}));
+
+// @desc    Get the feedback survey for an event (and the member's answers so far)
+// @route   GET /api/events/:id/feedback/survey
+// @access  Private
+router.get('/:id/feedback/survey', authenticate, validateObjectId, asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  const attendee = event.attendees.find(a => a.user.toString() === req.user._id.toString());
+  const existing = event.feedback.find(f => f.user.toString() === req.user._id.toString());
+
+  res.status(200).json({
+    success: true,
+    data: {
+      questions: await getFeedbackSurvey(event.type),
+      canSubmit: Boolean(attendee?.attended),
+      feedback: existing || null,
+    },
+  });
+}));
+
+// @desc    Submit (or update) feedback for an attended event
+// @route   POST /api/events/:id/feedback
+// @access  Private (attendees marked attended)
+router.post('/:id/feedback', authenticate, [
+  validateObjectId,
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+  body('answers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Answers must be an array'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const { rating, comment, answers } = req.body;
+
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  const attendee = event.attendees.find(a => a.user.toString() === req.user._id.toString());
+  if (!attendee?.attended) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only members who attended this event can leave feedback',
+      code: 'NOT_ATTENDED',
+    });
+  }
+
+  // Check-in opens before the start, so attending alone doesn't mean the event is over
+  if (event.status !== 'completed' && event.getEndDate() > new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Feedback opens once the event has ended',
+      code: 'EVENT_NOT_ENDED',
+    });
+  }
+
+  const questions = await getFeedbackSurvey(event.type);
+  const survey = validateSurveyAnswers(questions, answers);
+  if (survey.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid survey answers',
+      errors: survey.errors,
+    });
+  }
+
+  if (comment) {
+    const moderationResult = moderateContent(comment, { strictMode: false, contextAware: true });
+    if (moderationResult.shouldBlock) {
+      return res.status(400).json({
+        success: false,
+        message: 'Feedback violates community guidelines',
+        moderation: {
+          flagged: true,
+          issues: moderationResult.issues || [],
+          severity: moderationResult.severity || 0,
+        },
+      });
+    }
+  }
+
+  // One feedback entry per member; submitting again replaces it
+  let feedback = event.feedback.find(f => f.user.toString() === req.user._id.toString());
+  const isUpdate = Boolean(feedback);
+  if (!feedback) {
+    event.feedback.push({ user: req.user._id });
+    feedback = event.feedback[event.feedback.length - 1];
+  }
+  feedback.rating = parseInt(rating);
+  feedback.comment = comment;
+  feedback.answers = survey.answers;
+  feedback.timestamp = new Date();
+
+  await event.save();
+
+  res.status(isUpdate ? 200 : 201).json({
+    success: true,
+    message: isUpdate ? 'Feedback updated' : 'Thanks for your feedback!',
+    data: {
+      feedback,
+      averageRating: event.averageRating,
     },
   });
 }));
@@ -211,28 +511,158 @@ router.put('/:id/rsvp', authenticate, validateObjectId, logEventJoined, asyncHan
 // Admin routes - must authenticate before role check
 router.use(authenticate, authorize('admin'));
 
+// @desc    Get aggregated feedback per instructor and/or event type
+// @route   GET /api/events/feedback/report
+// @access  Private (Admin)
+router.get('/feedback/report', [
+  queryParam('groupBy')
+    .optional()
+    .isIn(['instructor', 'type', 'instructor_type'])
+    .withMessage('Group by must be instructor, type or instructor_type'),
+  queryParam('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid from date'),
+  queryParam('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid to date'),
+  queryParam('instructor')
+    .optional()
+    .isString()
+    .withMessage('Instructor must be a name'),
+  queryParam('type')
+    .optional()
+    .isIn([...EVENT_TYPES, 'all'])
+    .withMessage('Invalid event type'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const { groupBy = 'instructor_type', instructor, type } = req.query;
+  const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+
+  const query = {
+    isRecurring: { $ne: true },
+    status: { $ne: 'cancelled' },
+    date: { $gte: from, $lte: to },
+  };
+  if (instructor) query.instructor = instructor;
+  if (type && type !== 'all') query.type = type;
+
+  const events = await Event.find(query)
+    .select('title instructor type date attendees.attended feedback.rating feedback.answers')
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from,
+      to,
+      groupBy,
+      groups: buildFeedbackReport(events, groupBy),
+    },
+  });
+}));
+
+// @desc    Get feedback survey questions for every event type
+// @route   GET /api/events/feedback/surveys
+// @access  Private (Admin)
+router.get('/feedback/surveys', asyncHandler(async (req, res) => {
+  const surveys = {};
+  for (const type of EVENT_TYPES) {
+    surveys[type] = await getFeedbackSurvey(type);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: surveys,
+  });
+}));
+
+// @desc    Replace the feedback survey questions for an event type
+// @route   PUT /api/events/feedback/surveys/:type
+// @access  Private (Admin)
+router.put('/feedback/surveys/:type', [
+  param('type')
+    .isIn(EVENT_TYPES)
+    .withMessage('Invalid event type'),
+  body('questions')
+    .isArray({ max: 10 })
+    .withMessage('Questions must be an array of up to 10 questions'),
+  body('questions.*.id')
+    .matches(/^[a-z0-9_]{1,40}$/)
+    .withMessage('Question IDs must be lowercase letters, numbers or underscores'),
+  body('questions.*.question')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Question text must be between 3 and 200 characters'),
+  body('questions.*.kind')
+    .isIn(SURVEY_QUESTION_KINDS)
+    .withMessage(`Question kind must be one of: ${SURVEY_QUESTION_KINDS.join(', ')}`),
+  body('questions.*.options')
+    .optional()
+    .isArray({ min: 2, max: 10 })
+    .withMessage('Choice questions need 2 to 10 options'),
+  body('questions.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Required must be true or false'),
+  body('questions')
+    .custom(questions => new Set(questions.map(q => q.id)).size === questions.length)
+    .withMessage('Question IDs must be unique')
+    .custom(questions => questions.every(q => q.kind !== 'choice' || q.options?.length >= 2))
+    .withMessage('Choice questions need at least 2 options'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const questions = req.body.questions.map(({ id, question, kind, options, required }) => ({
+    id,
+    question,
+    kind,
+    ...(kind === 'choice' ? { options: options.map(option => String(option).trim()) } : {}),
+    required: required === true || required === 'true',
+  }));
+
+  const existing = await AdminSettings.getByCategory('events');
+  const settings = existing?.settings || {};
+
+  await AdminSettings.updateSettings('events', {
+    ...settings,
+    feedbackSurveys: {
+      ...(settings.feedbackSurveys || {}),
+      [req.params.type]: questions,
+    },
+  }, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Feedback survey updated',
+    data: questions,
+  });
+}));
+
 // @desc    Create new event
 // @route   POST /api/events
 // @access  Private (Admin)
-router.post('/', validateEvent, handleValidationErrors, asyncHandler(async (req, res) => {
-  const event = await Event.create(req.body);
+router.post('/', validateEvent, validateRecurrence, asyncHandler(async (req, res) => {
+  const event = await Event.create(pickEventUpdates(req.body));
+
+  // A recurring event is a series: generate its first occurrences right away
+  const occurrences = event.isSeries ? await generateOccurrences(event) : [];
 
   res.status(201).json({
     success: true,
-    message: 'Event created successfully',
+    message: event.isSeries
+      ? `Recurring event created with ${occurrences.length} upcoming occurrences`
+      : 'Event created successfully',
     data: event,
   });
 }));
 
-// @desc    Update event
+// @desc    Update event (for an occurrence, `scope` is "this" (default) or "future")
 // @route   PUT /api/events/:id
 // @access  Private (Admin)
-router.put('/:id', validateObjectId, validateEvent, handleValidationErrors, asyncHandler(async (req, res) => {
-  const event = await Event.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    { new: true, runValidators: true }
-  );
+router.put('/:id', validateObjectId, validateEventUpdate, validateRecurrence, asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id).select('+zoomLink +meetingId +passcode');
 
   if (!event) {
     return res.status(404).json({
@@ -241,10 +671,226 @@ router.put('/:id', validateObjectId, validateEvent, handleValidationErrors, asyn
     });
   }
 
+  // Only a changed date reschedules (a resubmitted form sends the date it was shown)
+  const updates = pickEventUpdates(req.body);
+  if (updates.date && new Date(updates.date).getTime() === event.date.getTime()) {
+    delete updates.date;
+  }
+
+  // A series keeps its original start date, so a new date for it only sets how far its upcoming occurrences move
+  if (updates.date && !event.isSeries && new Date(updates.date) < new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Event date cannot be in the past',
+    });
+  }
+
+  const previousStatus = event.status;
+  const { event: updatedEvent, promotions, ...occurrences } = await updateEvent(event, updates, req.body.scope);
+
+  // Raising (or removing) the capacity fills the new spots from the waitlist
+  await handlePromotions(promotions);
+
+  // Cancelling through an edit notifies attendees the same way as the cancel endpoint
+  if (updatedEvent.status === 'cancelled' && previousStatus !== 'cancelled') {
+    notifyEventCancelled([updatedEvent]);
+  }
+
   res.status(200).json({
     success: true,
     message: 'Event updated successfully',
-    data: event,
+    data: updatedEvent,
+    occurrences: occurrences.series ? {
+      seriesId: occurrences.series._id,
+      updated: occurrences.updated,
+      cancelled: occurrences.cancelled,
+      removed: occurrences.removed,
+      created: occurrences.created,
+    } : undefined,
+  });
+}));
+
+// @desc    Cancel event (for an occurrence, `scope` is "this" (default) or "future")
+// @route   PUT /api/events/:id/cancel
+// @access  Private (Admin)
+router.put('/:id/cancel', [
+  validateObjectId,
+  body('scope')
+    .optional()
+    .isIn(['this', 'future'])
+    .withMessage('Scope must be "this" or "future"'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  if (event.status === 'cancelled') {
+    return res.status(400).json({
+      success: false,
+      message: 'Event is already cancelled',
+    });
+  }
+
+  const cancelled = await cancelEvent(event, req.body.scope);
+
+  // Everyone with an RSVP hears about it (in-app, email and socket)
+  notifyEventCancelled(cancelled);
+
+  res.status(200).json({
+    success: true,
+    message: `${cancelled.length} event${cancelled.length === 1 ? '' : 's'} cancelled`,
+    data: {
+      cancelledIds: cancelled.map(cancelledEvent => cancelledEvent._id),
+    },
+  });
+}));
+
+// @desc    Set event recording and materials (published to attendees once the event is completed)
+// @route   PUT /api/events/:id/resources
+// @access  Private (Admin)
+router.put('/:id/resources', [
+  validateObjectId,
+  body('recordingUrl')
+    .optional({ values: 'null' })
+    .isURL()
+    .withMessage('Invalid recording URL'),
+  body('materials')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Materials must be an array of up to 20 items'),
+  body('materials.*.title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Material title must be between 1 and 200 characters'),
+  body('materials.*.url')
+    .isURL()
+    .withMessage('Invalid material URL'),
+  body('materials.*.type')
+    .optional()
+    .isIn(['pdf', 'video', 'link', 'slides'])
+    .withMessage('Material type must be pdf, video, link or slides'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  if (req.body.recordingUrl !== undefined) {
+    event.recordingUrl = req.body.recordingUrl || undefined;
+  }
+  if (req.body.materials !== undefined) {
+    event.materials = req.body.materials.map(({ title, url, type }) => ({ title, url, type }));
+  }
+  await event.save();
+
+  // Completed events publish right away; others publish when they complete
+  const notified = event.status === 'completed' ? await publishEventResources(event) : 0;
+
+  res.status(200).json({
+    success: true,
+    message: event.status === 'completed'
+      ? `Event resources updated and sent to ${notified} attendee${notified === 1 ? '' : 's'}`
+      : 'Event resources updated - attendees will get them when the event is completed',
+    data: {
+      recordingUrl: event.recordingUrl,
+      materials: event.materials,
+      resourcesPublishedAt: event.resourcesPublishedAt,
+    },
+  });
+}));
+
+// @desc    Get event waitlist
+// @route   GET /api/events/:id/waitlist
+// @access  Private (Admin)
+router.get('/:id/waitlist', validateObjectId, asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id)
+    .populate('attendees.user', 'name username email avatar level');
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      waitlist: event.getWaitlist().map(attendee => ({
+        user: attendee.user,
+        position: attendee.waitlistPosition,
+        rsvpDate: attendee.rsvpDate,
+      })),
+      attendeeCount: event.attendeeCount,
+      maxAttendees: event.maxAttendees,
+      spotsRemaining: event.spotsRemaining,
+    },
+  });
+}));
+
+// @desc    Reorder event waitlist
+// @route   PUT /api/events/:id/waitlist
+// @access  Private (Admin)
+router.put('/:id/waitlist', [
+  validateObjectId,
+  body('order')
+    .isArray({ min: 1 })
+    .withMessage('Order must be a non-empty array of user IDs'),
+  body('order.*')
+    .isMongoId()
+    .withMessage('Invalid user ID in order'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  const waitlist = event.getWaitlist();
+  const order = req.body.order.map(id => id.toString());
+  const waitlistIds = waitlist.map(attendee => attendee.user.toString());
+
+  const unknownIds = order.filter(id => !waitlistIds.includes(id));
+  if (unknownIds.length > 0 || new Set(order).size !== order.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Order must only contain waitlisted users, each listed once',
+    });
+  }
+
+  // Listed users go first in the given order; anyone left out keeps their relative place behind them
+  const reordered = [
+    ...order.map(id => waitlist.find(attendee => attendee.user.toString() === id)),
+    ...waitlist.filter(attendee => !order.includes(attendee.user.toString())),
+  ];
+  reordered.forEach((attendee, index) => {
+    attendee.waitlistPosition = index + 1;
+  });
+
+  await event.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Waitlist reordered successfully',
+    data: reordered.map(attendee => ({
+      user: attendee.user,
+      position: attendee.waitlistPosition,
+    })),
   });
 }));
 
@@ -263,16 +909,89 @@ router.delete('/:id', validateObjectId, asyncHandler(async (req, res) => {
 
   await Event.findByIdAndDelete(req.params.id);
 
+  // Deleting a series removes its occurrences too
+  if (event.isSeries) {
+    await Event.deleteMany({ series: event._id });
+  }
+
   res.status(200).json({
     success: true,
     message: 'Event deleted successfully',
   });
 }));
 
+// @desc    Get check-in details to display during the event (code and current QR token)
+// @route   GET /api/events/:id/check-in
+// @access  Private (Admin)
+router.get('/:id/check-in', validateObjectId, asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id).select('+checkInCode +checkInSecret');
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  // The first request creates the code; POST /check-in/code replaces it
+  if (!event.checkInCode) {
+    event.generateCheckInCode();
+    await event.save();
+  }
+
+  const { token, expiresAt } = event.getCheckInToken();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code: event.checkInCode,
+      qrToken: token,
+      qrValue: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}/check-in?token=${token}`,
+      qrExpiresAt: expiresAt,
+      window: event.getCheckInWindow(),
+      isOpen: event.isCheckInOpen(),
+      checkedInCount: event.attendees.filter(attendee => attendee.attended).length,
+      attendeeCount: event.attendeeCount,
+    },
+  });
+}));
+
+// @desc    Replace the event's check-in code (and QR key)
+// @route   POST /api/events/:id/check-in/code
+// @access  Private (Admin)
+router.post('/:id/check-in/code', validateObjectId, asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id).select('+checkInCode +checkInSecret');
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  const code = event.generateCheckInCode();
+  await event.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Check-in code regenerated',
+    data: { code },
+  });
+}));
+
 // @desc    Mark attendance
 // @route   PUT /api/events/:id/attendance
 // @access  Private (Admin)
-router.put('/:id/attendance', validateObjectId, asyncHandler(async (req, res) => {
+router.put('/:id/attendance', [
+  validateObjectId,
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('attended')
+    .isBoolean()
+    .withMessage('Attended must be true or false'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
   const { userId, attended } = req.body;
 
   const event = await Event.findById(req.params.id);
@@ -284,19 +1003,90 @@ router.put('/:id/attendance', validateObjectId, asyncHandler(async (req, res) =>
     });
   }
 
-  await event.markAttendance(userId, attended);
-
-  // Award points for attendance
-  if (attended) {
-    const user = await User.findById(userId);
-    if (user) {
-      await user.addPoints(event.points || 15, `Attended ${event.title}`);
-    }
+  if (!(await User.exists({ _id: userId }))) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
   }
 
+  // Points, streak and webhook are handled once per member
+  const result = await recordAttendance(event, userId, { attended: attended === true || attended === 'true', req });
+
   res.status(200).json({
     success: true,
     message: 'Attendance updated successfully',
+    data: {
+      pointsAwarded: result.pointsAwarded,
+    },
+  });
+}));
+
+// @desc    Bulk mark attendance from a list of user IDs and/or emails
+// @route   PUT /api/events/:id/attendance/bulk
+// @access  Private (Admin)
+router.put('/:id/attendance/bulk', [
+  validateObjectId,
+  body('userIds')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('User IDs must be an array'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('emails')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Emails must be an array'),
+  body('emails.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email'),
+  body('attended')
+    .optional()
+    .isBoolean()
+    .withMessage('Attended must be true or false'),
+  body()
+    .custom(value => (value.userIds?.length || 0) + (value.emails?.length || 0) > 0)
+    .withMessage('Provide at least one user ID or email'),
+  handleValidationErrors,
+], asyncHandler(async (req, res) => {
+  const { userIds = [], emails = [] } = req.body;
+  const attended = req.body.attended === undefined ? true : req.body.attended === true || req.body.attended === 'true';
+
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+  }
+
+  const users = await User.find({
+    $or: [
+      { _id: { $in: userIds } },
+      { email: { $in: emails } },
+    ],
+  }).select('_id email');
+
+  const summary = { updated: 0, pointsAwarded: 0, notFound: [] };
+
+  summary.notFound = [
+    ...userIds.filter(id => !users.some(user => user._id.toString() === id)),
+    ...emails.filter(email => !users.some(user => user.email === email)),
+  ];
+
+  for (const user of users) {
+    const result = await recordAttendance(event, user._id, { attended, req });
+    summary.updated++;
+    summary.pointsAwarded += result.pointsAwarded;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Attendance updated for ${summary.updated} member${summary.updated === 1 ? '' : 's'}`,
+    data: summary,
   });
 }));
 
@@ -6,14 +6,25 @@ import {
   sendMessage,
   sendMessageWithFile,
   startConversation,
+  getMessageRequests,
+  acceptMessageRequest,
+  declineMessageRequest,
   deleteMessage,
   editMessage,
   markConversationAsRead,
   addReaction,
   getMessageHistory,
+  createGroupConversation,
+  updateGroupConversation,
+  updateGroupAvatar,
+  addGroupMembers,
+  removeGroupMember,
+  leaveGroup,
+  transferGroupOwnership,
+  updateGroupMemberRole,
 } from '../controllers/messageController.js';
 import { authenticate } from '../middleware/auth.js';
-import { moderateMessageContent, checkUserStatus, logModerationAction } from '../middleware/moderation.js';
+import { moderateMessageContent, checkUserStatus, requireVerifiedEmail, logModerationAction } from '../middleware/moderation.js';
 import {
   validateObjectId,
   validatePagination,
@@ -49,6 +60,40 @@ const messageFileUpload = multer({
   },
 });
 
+// Configure multer for group avatar uploads
+const groupAvatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  },
+});
+
+// Group title/description/settings rules (shared by create and update)
+const groupInfoRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('settings.membersCanInvite')
+    .optional()
+    .isBoolean()
+    .withMessage('membersCanInvite must be true or false')
+    .toBoolean(),
+  body('settings.membersCanEditInfo')
+    .optional()
+    .isBoolean()
+    .withMessage('membersCanEditInfo must be true or false')
+    .toBoolean(),
+];
+
 // All message routes require authentication
 router.use(authenticate);
 router.use(checkUserStatus); // Check if user is banned/suspended
@@ -56,10 +101,18 @@ router.use(checkUserStatus); // Check if user is banned/suspended
 // Conversation routes
 router.get('/conversations', validatePagination, getConversations);
 router.get('/conversations/:id', validateObjectId, getConversationMessages);
-router.put('/conversations/:id/read', validateObjectId, markConversationAsRead);
+router.put('/conversations/:id/read', [
+  validateObjectId,
+  body('messageId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  handleValidationErrors,
+], markConversationAsRead);
 
 // Start new conversation
 router.post('/conversations', [
+  requireVerifiedEmail,
   body('recipientId')
     .isMongoId()
     .withMessage('Invalid recipient ID'),
@@ -74,6 +127,7 @@ router.post('/conversations', [
 // Send message
 router.post('/conversations/:id', [
   validateObjectId,
+  requireVerifiedEmail,
   body('content')
     .trim()
     .isLength({ min: 1, max: 2000 })
@@ -94,6 +148,7 @@ router.post('/conversations/:id', [
 // Send message with file attachment
 router.post('/conversations/:id/file', [
   validateObjectId,
+  requireVerifiedEmail,
   messageFileUpload.single('file'),
   body('content')
     .optional()
@@ -109,6 +164,84 @@ router.post('/conversations/:id/file', [
   logModerationAction('send_file_message'),
 ], sendMessageWithFile);
 
+// Message requests (direct messages from members the user isn't connected with)
+router.get('/requests', validatePagination, getMessageRequests);
+router.put('/requests/:id/accept', validateObjectId, acceptMessageRequest);
+router.put('/requests/:id/decline', validateObjectId, declineMessageRequest);
+
+// Group conversations
+router.post('/groups', [
+  requireVerifiedEmail,
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  body('avatar')
+    .optional()
+    .isURL()
+    .withMessage('Invalid avatar URL'),
+  body('participantIds')
+    .isArray({ min: 1, max: 99 })
+    .withMessage('Add between 1 and 99 members'),
+  body('participantIds.*')
+    .isMongoId()
+    .withMessage('Invalid member ID'),
+  ...groupInfoRules,
+  handleValidationErrors,
+], createGroupConversation);
+
+router.put('/groups/:id', [
+  validateObjectId,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  ...groupInfoRules,
+  handleValidationErrors,
+], updateGroupConversation);
+
+router.put('/groups/:id/avatar', [
+  validateObjectId,
+  groupAvatarUpload.single('avatar'),
+  body('avatarUrl')
+    .optional()
+    .isURL()
+    .withMessage('Invalid avatar URL'),
+  handleValidationErrors,
+], updateGroupAvatar);
+
+router.post('/groups/:id/members', [
+  validateObjectId,
+  body('userIds')
+    .isArray({ min: 1, max: 99 })
+    .withMessage('Add between 1 and 99 members'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Invalid member ID'),
+  handleValidationErrors,
+], addGroupMembers);
+
+router.delete('/groups/:id/members/:userId', validateObjectId, removeGroupMember);
+
+router.put('/groups/:id/members/:userId/role', [
+  validateObjectId,
+  body('role')
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be admin or member'),
+  handleValidationErrors,
+], updateGroupMemberRole);
+
+router.put('/groups/:id/owner', [
+  validateObjectId,
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid member ID'),
+  handleValidationErrors,
+], transferGroupOwnership);
+
+router.post('/groups/:id/leave', validateObjectId, leaveGroup);
+
 // Message management
 router.put('/:id', [
   validateObjectId,
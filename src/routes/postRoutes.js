@@ -19,6 +19,7 @@ import {
   moderatePostContent,
   moderateCommentContent,
   checkUserStatus,
+  requireVerifiedEmail,
   logModerationAction
 } from '../middleware/moderation.js';
 import {
@@ -47,14 +48,14 @@ router.use(authenticate);
 router.use(checkOwnership());
 router.use(checkUserStatus); // Check if user is banned/suspended
 
-router.post('/', validatePost, moderatePostContent, logModerationAction('create_post'), logPostCreated, createPost);
+router.post('/', requireVerifiedEmail, validatePost, moderatePostContent, logModerationAction('create_post'), logPostCreated, createPost);
 router.put('/:id', validateObjectId, validatePost, moderatePostContent, logModerationAction('update_post'), updatePost);
 router.delete('/:id', validateObjectId, deletePost);
 router.put('/:id/like', logPostLiked, toggleLike);
 router.put('/:id/bookmark', toggleBookmark);
 
 // Comment routes
-router.post('/:id/comments', validateObjectId, validateComment, moderateCommentContent, logModerationAction('create_comment'), logPostCommented, addComment);
+router.post('/:id/comments', validateObjectId, requireVerifiedEmail, validateComment, moderateCommentContent, logModerationAction('create_comment'), logPostCommented, addComment);
 router.put('/:postId/comments/:commentId', [
   param('postId').isMongoId().withMessage('Invalid post ID'),
   param('commentId').isMongoId().withMessage('Invalid comment ID'),
@@ -33,9 +33,13 @@ router.get('/', authenticate, validatePagination, asyncHandler(async (req, res)
 
   try {
     if (type === 'all' || type === 'posts') {
+      // Content from shadow banned members is only visible to themselves
+      const hiddenAuthorIds = await User.getShadowBannedIds(req.user);
+
       results.posts = await Post.find({
         $and: [
           { isApproved: true },
+          { author: { $nin: hiddenAuthorIds } },
           {
             $or: [
               { content: searchRegex },
@@ -235,6 +239,7 @@ router.get('/suggestions', authenticate, asyncHandler(async (req, res) => {
 // @access  Private
 router.get('/trending', authenticate, asyncHandler(async (req, res) => {
   const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const hiddenAuthorIds = await User.getShadowBannedIds(req.user);
 
   const [
     trendingTags,
@@ -255,6 +260,7 @@ router.get('/trending', authenticate, asyncHandler(async (req, res) => {
     Post.find({
       createdAt: { $gte: sevenDaysAgo },
       isApproved: true,
+      author: { $nin: hiddenAuthorIds },
     })
     .populate('author', 'name username avatar')
     .sort({ likes: -1 })
@@ -1,7 +1,11 @@
 import express from 'express';
 import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Connection from '../models/Connection.js';
+import Notification from '../models/Notification.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { isUserOnline } from '../utils/presenceTracker.js';
 import {
   validateObjectId,
   validatePagination,
@@ -10,6 +14,25 @@ import {
 
 const router = express.Router();
 
+// A member hears about the same follower at most once in this period (unfollowing and following again
+// doesn't send another notification)
+const FOLLOW_NOTIFICATION_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Profile fields any member can see. Listed explicitly so contact details, tokens, private settings and
+// moderation data (moderationStatus, warnings, bans) never leave through the member routes.
+const PUBLIC_PROFILE_FIELDS = 'name username avatar bio location phase skills joinDate points level isOnline lastActive role achievements streaks createdAt';
+
+// Hide the presence of a member who turned off showOnlineStatus (admins and the member still see it).
+// `user` is a plain object loaded with privacySettings.showOnlineStatus, which is removed here.
+const applyPresencePrivacy = (user, viewer) => {
+  const { privacySettings, ...profile } = user;
+  const hidesStatus = privacySettings?.showOnlineStatus === false
+    && viewer.role !== 'admin'
+    && user._id.toString() !== viewer._id.toString();
+
+  return hidesStatus ? { ...profile, isOnline: false, lastActive: undefined } : profile;
+};
+
 // @desc    Get all users/members
 // @route   GET /api/users
 // @access  Private
@@ -56,15 +79,75 @@ router.get('/', authenticate, validatePagination, asyncHandler(async (req, res)
       sort = { points: -1 };
   }
 
+  // Members sorted by presence: for everyone but admins, hidden presence sorts as offline
+  const sortsByHiddenPresence = sortBy === 'online' && req.user.role !== 'admin';
+  const fields = `${PUBLIC_PROFILE_FIELDS} privacySettings.showOnlineStatus`;
+
   // Execute query with pagination
+  const users = sortsByHiddenPresence
+    ? await User.aggregate([
+      { $match: query },
+      {
+        $addFields: {
+          visibleLastActive: {
+            $cond: [{ $eq: ['$privacySettings.showOnlineStatus', false] }, null, '$lastActive'],
+          },
+          visibleOnline: {
+            $cond: [{ $eq: ['$privacySettings.showOnlineStatus', false] }, false, '$isOnline'],
+          },
+        },
+      },
+      { $sort: { visibleOnline: -1, visibleLastActive: -1, _id: 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit * 1 },
+      { $project: Object.fromEntries(fields.split(' ').map(field => [field, 1])) },
+    ])
+    : await User.find(query)
+      .select(fields)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+  // Get total count for pagination
+  const total = await User.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: users.map(user => applyPresencePrivacy(user, req.user)),
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+  });
+}));
+
+// @desc    Get members who are online right now
+// @route   GET /api/users/online
+// @access  Private
+router.get('/online', authenticate, validatePagination, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  // Members who hide their status (and shadow banned members) are left out, except for admins
+  const query = {
+    _id: { $ne: req.user._id },
+    isOnline: true,
+  };
+  if (req.user.role !== 'admin') {
+    query['privacySettings.showOnlineStatus'] = { $ne: false };
+    query._id.$nin = await User.getShadowBannedIds(req.user);
+  }
+
   const users = await User.find(query)
-    .select('-password -resetPasswordToken -resetPasswordExpire -pointsHistory')
-    .sort(sort)
+    .select('name username avatar level phase isOnline lastActive')
+    .sort({ lastActive: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit)
     .lean();
 
-  // Get total count for pagination
   const total = await User.countDocuments(query);
 
   res.status(200).json({
@@ -85,7 +168,7 @@ router.get('/', authenticate, validatePagination, asyncHandler(async (req, res)
 // @access  Private
 router.get('/:id', authenticate, validateObjectId, asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id)
-    .select('-password -resetPasswordToken -resetPasswordExpire')
+    .select(`${PUBLIC_PROFILE_FIELDS} courses privacySettings.showOnlineStatus`)
     .populate('courses.courseId', 'title category phase');
 
   if (!user) {
@@ -98,10 +181,17 @@ router.get('/:id', authenticate, validateObjectId, asyncHandler(async (req, res)
   // Get user's rank
   const rank = await User.countDocuments({ points: { $gt: user.points } }) + 1;
 
+  const followCounts = await Follow.getCounts(user._id);
+  const follow = await Follow.findFollow(req.user._id, user._id);
+
   res.status(200).json({
     success: true,
     data: {
-      ...user.toJSON(),
+      // Respect the member's choice to hide their online status
+      ...applyPresencePrivacy(user.toJSON(), req.user),
+      ...followCounts,
+      isFollowing: Boolean(follow),
+      isMuted: Boolean(follow?.isMuted),
       rank,
     },
   });
@@ -130,15 +220,146 @@ router.put('/:id/follow', authenticate, validateObjectId, asyncHandler(async (re
     });
   }
 
-  // Add following/followers logic here if needed
-  // For now, we'll just return success
+  const existingFollow = await Follow.findFollow(currentUserId, targetUserId);
+  let isFollowing;
+
+  if (existingFollow) {
+    // Unfollowing is always allowed, even after a block
+    await existingFollow.deleteOne();
+    isFollowing = false;
+  } else {
+    if (await Connection.isBlockedBetween(currentUserId, targetUserId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot follow this member',
+      });
+    }
+
+    const created = await Follow.follow(currentUserId, targetUserId);
+    isFollowing = true;
+
+    // Only a new follow notifies, and not when this follower was announced recently
+    const notify = created && !(await Notification.exists({
+      recipient: targetUserId,
+      sender: currentUserId,
+      type: 'new_follower',
+      createdAt: { $gte: new Date(Date.now() - FOLLOW_NOTIFICATION_COOLDOWN_MS) },
+    }));
+
+    if (notify) {
+      await Notification.createNotification({
+        recipient: targetUserId,
+        sender: currentUserId,
+        type: 'new_follower',
+        title: 'New Follower',
+        message: `${req.user.name} started following you`,
+        data: { followerId: currentUserId },
+        actionUrl: `/profile/${currentUserId}`,
+        icon: '👥',
+      });
+    }
+  }
+
+  const counts = await Follow.getCounts(targetUserId);
 
   res.status(200).json({
     success: true,
-    message: 'Following status updated',
+    message: isFollowing ? 'User followed' : 'User unfollowed',
+    data: {
+      isFollowing,
+      ...counts,
+    },
   });
 }));
 
+// @desc    Mute/unmute a followed user in the following feed
+// @route   PUT /api/users/:id/mute
+// @access  Private
+router.put('/:id/mute', authenticate, validateObjectId, asyncHandler(async (req, res) => {
+  const follow = await Follow.findFollow(req.user._id, req.params.id);
+
+  if (!follow) {
+    return res.status(404).json({
+      success: false,
+      message: 'You are not following this member',
+    });
+  }
+
+  follow.isMuted = !follow.isMuted;
+  follow.mutedAt = follow.isMuted ? new Date() : undefined;
+  await follow.save();
+
+  res.status(200).json({
+    success: true,
+    message: follow.isMuted ? 'User muted' : 'User unmuted',
+    data: { isMuted: follow.isMuted },
+  });
+}));
+
+// Build a paginated follower/following list for a user
+const listFollows = (direction) => asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const user = await User.findById(req.params.id).select('_id');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  // `followers` lists who follows this user; `following` lists who this user follows
+  const matchField = direction === 'followers' ? 'following' : 'follower';
+  const memberField = direction === 'followers' ? 'follower' : 'following';
+
+  // Members on either side of a block, and shadow banned members, are left out
+  const hiddenIds = [
+    ...(await Connection.getBlockedUserIds(req.user._id)),
+    ...(await User.getShadowBannedIds(req.user)),
+  ];
+
+  const query = { [matchField]: user._id };
+  if (hiddenIds.length > 0) {
+    query[memberField] = { $nin: hiddenIds };
+  }
+
+  const follows = await Follow.find(query)
+    .populate(memberField, 'name username avatar level phase isOnline')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Follow.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: follows
+      .filter(follow => follow[memberField])
+      .map(follow => ({
+        ...follow[memberField].toJSON(),
+        followedAt: follow.createdAt,
+      })),
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+  });
+});
+
+// @desc    Get user's followers
+// @route   GET /api/users/:id/followers
+// @access  Private
+router.get('/:id/followers', authenticate, validateObjectId, validatePagination, listFollows('followers'));
+
+// @desc    Get members the user follows
+// @route   GET /api/users/:id/following
+// @access  Private
+router.get('/:id/following', authenticate, validateObjectId, validatePagination, listFollows('following'));
+
 // @desc    Get user's posts
 // @route   GET /api/users/:id/posts
 // @access  Private
@@ -156,6 +377,16 @@ router.get('/:id/posts', authenticate, validateObjectId, asyncHandler(async (req
 
   const Post = (await import('../models/Post.js')).default;
 
+  // A shadow banned member's posts are only visible to themselves and admins
+  const hiddenAuthorIds = await User.getShadowBannedIds(req.user);
+  if (hiddenAuthorIds.some(id => id.toString() === user._id.toString())) {
+    return res.status(200).json({
+      success: true,
+      data: [],
+      pagination: { current: parseInt(page), pages: 0, total: 0, hasNext: false, hasPrev: false },
+    });
+  }
+
   const posts = await Post.find({
     author: req.params.id,
     isApproved: true
@@ -186,17 +417,19 @@ router.get('/:id/posts', authenticate, validateObjectId, asyncHandler(async (req
 // @desc    Update user online status
 // @route   PUT /api/users/status
 // @access  Private
+// Online status is driven by socket connections; this only records activity and reports the current status
 router.put('/status', authenticate, asyncHandler(async (req, res) => {
-  const { isOnline } = req.body;
-
   const user = await User.findById(req.user._id);
-  user.isOnline = isOnline;
   user.lastActive = new Date();
   await user.save();
 
   res.status(200).json({
     success: true,
     message: 'Status updated successfully',
+    data: {
+      isOnline: isUserOnline(user._id),
+      lastActive: user.lastActive,
+    },
   });
 }));
 
@@ -0,0 +1,108 @@
+// Account standing checks shared by login, HTTP auth, socket auth and content routes
+
+export const STANDING_STATUS = {
+  ACTIVE: 'active',
+  BANNED: 'banned',
+  SUSPENDED: 'suspended',
+};
+
+// Deactivate suspensions that have run out. Returns true if the user was modified.
+export const expireStaleRestrictions = (user, now = new Date()) => {
+  let changed = false;
+
+  if (user.suspendedUntil && user.suspendedUntil <= now) {
+    user.suspendedUntil = null;
+    changed = true;
+  }
+
+  (user.warnings || []).forEach(warning => {
+    if (warning.isActive && warning.type !== 'banned' && warning.expiresAt && warning.expiresAt <= now) {
+      warning.isActive = false;
+      changed = true;
+    }
+  });
+
+  // Moderator-applied restrictions carry their own expiry dates
+  const status = user.moderationStatus;
+  if (status) {
+    [
+      ['isSuspended', 'suspensionExpiresAt'],
+      ['isShadowBanned', 'shadowBanExpiresAt'],
+      ['postingRestricted', 'postingRestrictionExpiresAt'],
+      ['requiresApproval', 'requiresApprovalExpiresAt'],
+    ].forEach(([flag, expiry]) => {
+      if (status[flag] && status[expiry] && status[expiry] <= now) {
+        status[flag] = false;
+        changed = true;
+      }
+    });
+  }
+
+  return changed;
+};
+
+// Work out whether the user may use the platform, with a reason the frontend can render
+export const getAccountStanding = (user, now = new Date()) => {
+  const activeBan = (user.warnings || []).find(warning =>
+    warning.type === 'banned' && warning.isActive && (!warning.expiresAt || warning.expiresAt > now)
+  );
+
+  const moderationStatus = user.moderationStatus || {};
+  const moderationBan = moderationStatus.isBanned
+    ? [...(moderationStatus.warnings || [])].reverse().find(warning => warning.type === 'ban')
+    : null;
+
+  if (user.isBanned || activeBan || moderationStatus.isBanned) {
+    const banRecord = activeBan || moderationBan;
+    return {
+      allowed: false,
+      status: STANDING_STATUS.BANNED,
+      code: 'ACCOUNT_BANNED',
+      message: 'Your account has been banned',
+      reason: banRecord?.reason || 'Violation of community guidelines',
+      issuedAt: banRecord?.issuedAt || moderationStatus.bannedAt || null,
+      expiresAt: banRecord?.expiresAt || null,
+    };
+  }
+
+  const activeSuspension = (user.warnings || []).find(warning =>
+    warning.type === 'suspension' && warning.isActive && warning.expiresAt && warning.expiresAt > now
+  );
+  const moderationSuspension = moderationStatus.isSuspended
+    ? [...(moderationStatus.warnings || [])].reverse().find(warning => warning.type === 'suspension')
+    : null;
+  const suspendedUntil = [
+    user.suspendedUntil,
+    activeSuspension?.expiresAt,
+    moderationStatus.isSuspended ? moderationStatus.suspensionExpiresAt : null,
+  ]
+    .filter(date => date && date > now)
+    .sort((a, b) => b - a)[0];
+
+  if (suspendedUntil) {
+    return {
+      allowed: false,
+      status: STANDING_STATUS.SUSPENDED,
+      code: 'ACCOUNT_SUSPENDED',
+      message: `Your account is suspended until ${suspendedUntil.toISOString()}`,
+      reason: (activeSuspension || moderationSuspension)?.reason || 'Violation of community guidelines',
+      issuedAt: (activeSuspension || moderationSuspension)?.issuedAt || null,
+      expiresAt: suspendedUntil,
+    };
+  }
+
+  return { allowed: true, status: STANDING_STATUS.ACTIVE };
+};
+
+// Build the JSON body returned when a user is not in good standing
+export const standingErrorResponse = (standing) => ({
+  success: false,
+  code: standing.code,
+  message: standing.message,
+  standing: {
+    status: standing.status,
+    reason: standing.reason,
+    issuedAt: standing.issuedAt,
+    expiresAt: standing.expiresAt,
+  },
+});
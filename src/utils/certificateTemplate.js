@@ -0,0 +1,62 @@
+// Printable certificate document. Members can print it or save it as a PDF from the browser.
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+});
+
+export const renderCertificateHtml = (certificate) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Certificate of Completion - ${escapeHtml(certificate.courseTitle)}</title>
+  <style>
+    @page { size: landscape; margin: 0; }
+    body { margin: 0; font-family: Georgia, 'Times New Roman', serif; background: #f5f5f5; }
+    .certificate { width: 1000px; min-height: 680px; margin: 40px auto; padding: 60px; box-sizing: border-box;
+      background: #fff; border: 12px solid #1f2937; outline: 2px solid #d4a017; outline-offset: -28px; text-align: center; }
+    .brand { letter-spacing: 6px; font-size: 18px; color: #d4a017; font-weight: bold; }
+    h1 { font-size: 44px; margin: 30px 0 10px; color: #1f2937; }
+    .subtitle { font-size: 18px; color: #4b5563; }
+    .recipient { font-size: 40px; margin: 30px 0 10px; color: #111827; border-bottom: 2px solid #d4a017; display: inline-block; padding: 0 40px 8px; }
+    .course { font-size: 26px; margin: 20px 0; color: #1f2937; font-style: italic; }
+    .meta { display: flex; justify-content: space-between; margin-top: 60px; font-size: 14px; color: #4b5563; }
+    .verify { margin-top: 40px; font-family: 'Courier New', monospace; font-size: 13px; color: #6b7280; }
+    .revoked { color: #b91c1c; font-weight: bold; font-size: 20px; margin-top: 20px; }
+    @media print { body { background: #fff; } .certificate { margin: 0 auto; } }
+  </style>
+</head>
+<body>
+  <div class="certificate">
+    <div class="brand">YOU YES YOU</div>
+    <h1>Certificate of Completion</h1>
+    <div class="subtitle">This certifies that</div>
+    <div class="recipient">${escapeHtml(certificate.recipientName)}</div>
+    <div class="subtitle">has successfully completed the course</div>
+    <div class="course">${escapeHtml(certificate.courseTitle)}</div>
+    ${certificate.courseCategory ? `<div class="subtitle">${escapeHtml(certificate.courseCategory)}</div>` : ''}
+    ${certificate.isRevoked ? '<div class="revoked">This certificate has been revoked</div>' : ''}
+    <div class="meta">
+      <div>Completed<br><strong>${formatDate(certificate.completedAt)}</strong></div>
+      ${certificate.instructor ? `<div>Instructor<br><strong>${escapeHtml(certificate.instructor)}</strong></div>` : ''}
+      <div>Issued<br><strong>${formatDate(certificate.issuedAt)}</strong></div>
+    </div>
+    <div class="verify">
+      Certificate ID: ${escapeHtml(certificate.code)}<br>
+      Verify at ${escapeHtml(certificate.verificationUrl)}
+    </div>
+  </div>
+</body>
+</html>`;
+
+export default {
+  renderCertificateHtml,
+};
@@ -0,0 +1,72 @@
+import Course from '../models/Course.js';
+
+// Members can take courses from their own phase and any earlier phase
+const PHASE_ORDER = ['Phase 1', 'Phase 2', 'Phase 3'];
+
+// Check if a member's phase allows a course's phase
+export const phaseAllows = (userPhase, coursePhase) =>
+  PHASE_ORDER.indexOf(userPhase || 'Phase 1') >= PHASE_ORDER.indexOf(coursePhase);
+
+// Check if an admin has granted this member access to the course regardless of requirements
+export const hasAccessOverride = (user, courseId) =>
+  (user.courseAccessOverrides || []).some(
+    override => override.course?.toString() === courseId.toString()
+  );
+
+// Work out whether a course is locked for a member and what is missing.
+// `prerequisiteTitles` maps course id -> title so list endpoints can resolve titles in one query.
+export const getCourseAccess = (course, user, prerequisiteTitles = new Map()) => {
+  if (!user) {
+    return { isLocked: false, missingRequirements: null };
+  }
+
+  if (user.role === 'admin' || hasAccessOverride(user, course._id)) {
+    return { isLocked: false, overridden: user.role !== 'admin', missingRequirements: null };
+  }
+
+  const progressByCourse = new Map(
+    (user.courses || []).map(uc => [uc.courseId.toString(), uc.progress])
+  );
+
+  const missingPrerequisites = (course.prerequisites || [])
+    .map(prerequisite => (prerequisite._id || prerequisite).toString())
+    .filter(id => (progressByCourse.get(id) || 0) < 100)
+    .map(id => ({
+      _id: id,
+      title: prerequisiteTitles.get(id) || null,
+      progress: progressByCourse.get(id) || 0,
+    }));
+
+  const phaseLocked = !phaseAllows(user.phase, course.phase);
+
+  const isLocked = phaseLocked || missingPrerequisites.length > 0;
+
+  return {
+    isLocked,
+    missingRequirements: isLocked
+      ? {
+        phase: phaseLocked ? course.phase : null,
+        prerequisites: missingPrerequisites,
+      }
+      : null,
+  };
+};
+
+// Look up titles for every prerequisite referenced by a set of courses
+export const getPrerequisiteTitles = async (courses) => {
+  const ids = [...new Set(
+    courses.flatMap(course => (course.prerequisites || []).map(p => (p._id || p).toString()))
+  )];
+
+  if (ids.length === 0) return new Map();
+
+  const prerequisites = await Course.find({ _id: { $in: ids } }).select('title').lean();
+  return new Map(prerequisites.map(p => [p._id.toString(), p.title]));
+};
+
+export default {
+  phaseAllows,
+  hasAccessOverride,
+  getCourseAccess,
+  getPrerequisiteTitles,
+};
@@ -0,0 +1,128 @@
+import User from '../models/User.js';
+import Course from '../models/Course.js';
+import Certificate from '../models/Certificate.js';
+import { POINT_VALUES } from './pointsCalculator.js';
+import { sendCourseCompletionMessage } from './autoMessaging.js';
+import { directLogActivity } from '../middleware/activityLogger.js';
+
+// Recalculate an enrollment's progress from its completed modules.
+// Returns true the first time the enrollment reaches 100% (completion is recorded once via completedAt).
+export const syncEnrollmentProgress = (userCourse, course) => {
+  userCourse.progress = course.calculateProgress(userCourse.completedModules);
+
+  if (userCourse.progress === 100 && !userCourse.completedAt) {
+    userCourse.completedAt = new Date();
+    return true;
+  }
+  return false;
+};
+
+// Side effects of finishing a course: points, certificate, activity, completion message and webhook.
+// `notify: false` skips the DM/email/webhook (used when backfilling old records).
+// Returns the issued certificate.
+export const handleCourseCompletion = async (user, course, { req, notify = true, completedAt = new Date() } = {}) => {
+  await user.addPoints(POINT_VALUES.COMPLETE_COURSE, `Completed course: ${course.title}`);
+
+  const certificate = await Certificate.issueForCompletion(user, course, completedAt);
+
+  await directLogActivity(user._id, 'course_completed', `Completed course: ${course.title}`, {
+    relatedId: course._id,
+    relatedType: 'Course',
+    points: POINT_VALUES.COMPLETE_COURSE,
+    req,
+  });
+
+  if (!notify) return certificate;
+
+  await sendCourseCompletionMessage(user._id, course);
+
+  // Trigger course completion webhook
+  setTimeout(async () => {
+    try {
+      await fetch(`http://localhost:${process.env.PORT || 5000}/api/webhooks/zapier/course_completed`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': process.env.PLATFORM_API_KEY,
+        },
+        body: JSON.stringify({
+          userId: user._id,
+          courseId: course._id,
+          courseTitle: course.title,
+          completionDate: completedAt,
+          certificateCode: certificate.code,
+          verificationUrl: certificate.verificationUrl,
+        }),
+      });
+    } catch (error) {
+      console.log('Course completion webhook failed:', error.message);
+    }
+  }, 1000);
+
+  return certificate;
+};
+
+// Recompute every enrollment from completedModules, fixing progress values that
+// were previously posted by clients. Newly completed courses are recorded without notifications.
+export const recomputeAllCourseProgress = async () => {
+  try {
+    const courses = await Course.find().select('title category instructor modules');
+    const coursesById = new Map(courses.map(course => [course._id.toString(), course]));
+
+    let updatedUsers = 0;
+    const cursor = User.find({ 'courses.0': { $exists: true } }).cursor();
+
+    for await (const user of cursor) {
+      const newlyCompleted = [];
+      let changed = false;
+
+      user.courses.forEach(userCourse => {
+        const course = coursesById.get(userCourse.courseId?.toString());
+        if (!course) return;
+
+        // Drop completions for modules that no longer exist
+        const validIds = new Set(course.modules.map(module => module._id.toString()));
+        const completedModules = userCourse.completedModules.filter(id => validIds.has(id));
+        if (completedModules.length !== userCourse.completedModules.length) {
+          userCourse.completedModules = completedModules;
+          changed = true;
+        }
+
+        const previousProgress = userCourse.progress;
+        if (syncEnrollmentProgress(userCourse, course)) {
+          newlyCompleted.push(course);
+        }
+        if (userCourse.progress !== previousProgress) changed = true;
+      });
+
+      if (changed || newlyCompleted.length > 0) {
+        await user.save();
+        updatedUsers += 1;
+      }
+
+      for (const course of newlyCompleted) {
+        await handleCourseCompletion(user, course, { notify: false });
+      }
+
+      // Backfill certificates for courses completed before certificates existed
+      for (const userCourse of user.courses) {
+        const course = coursesById.get(userCourse.courseId?.toString());
+        if (course && userCourse.completedAt && !newlyCompleted.includes(course)) {
+          await Certificate.issueForCompletion(user, course, userCourse.completedAt);
+        }
+      }
+    }
+
+    console.log(`📚 Course progress recomputed for ${updatedUsers} users`);
+    return updatedUsers;
+  } catch (error) {
+    console.error('Error recomputing course progress:', error);
+    return 0;
+  }
+};
+
+export default {
+  syncEnrollmentProgress,
+  handleCourseCompletion,
+  recomputeAllCourseProgress,
+};
@@ -125,14 +125,65 @@ export const sendPasswordResetEmail = async (user, resetToken) => {
   }
 };
 
+// Send email verification email
+export const sendEmailVerificationEmail = async (user, verificationToken) => {
+  try {
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+
+    const msg = {
+      to: user.email,
+      from: process.env.EMAIL_FROM,
+      subject: 'Verify Your Email - YOU YES YOU',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <div style="background: #667eea; padding: 40px 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Verify Your Email</h1>
+          </div>
+
+          <div style="padding: 40px 20px;">
+            <h2 style="color: #333;">Hello ${user.name},</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              Please confirm your email address so you can take full part in the YOU YES YOU community:
+            </p>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${verifyUrl}"
+                 style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                Verify Email
+              </a>
+            </div>
+
+            <p style="color: #666; font-size: 14px;">
+              This link will expire in 24 hours. If you didn't create an account, please ignore this email.
+            </p>
+
+            <p style="color: #888; font-size: 12px; margin-top: 40px;">
+              If the button doesn't work, copy and paste this link: ${verifyUrl}
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    if (emailEnabled) {
+      await sgMail.send(msg);
+      console.log(`✅ Verification email sent to ${user.email}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to send verification email:', error);
+  }
+};
+
 // Send event reminder email
-export const sendEventReminderEmail = async (user, event) => {
+// `timeUntil` describes when the event starts (e.g. "Tomorrow", "Starts in 1 hour")
+export const sendEventReminderEmail = async (user, event, timeUntil = 'Tomorrow') => {
   try {
 
     const msg = {
       to: user.email,
       from: process.env.EMAIL_FROM,
-      subject: `Reminder: ${event.title} - Tomorrow!`,
+      subject: `Reminder: ${event.title} - ${timeUntil}!`,
       html: `
         <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
           <div style="background: #667eea; padding: 40px 20px; text-align: center;">
@@ -154,14 +205,16 @@ export const sendEventReminderEmail = async (user, event) => {
               <p style="color: #666; margin: 5px 0;"><strong>Instructor:</strong> ${event.instructor}</p>
             </div>
 
-            ${event.zoomLink ? `
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${event.zoomLink}"
-                   style="background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-                  Join Event
-                </a>
-              </div>
-            ` : ''}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/events/${event._id}"
+                 style="background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                View Event
+              </a>
+            </div>
+
+            <p style="color: #666; line-height: 1.6;">
+              The meeting link and passcode appear on the event page 15 minutes before the start.
+            </p>
 
             <p style="color: #666; line-height: 1.6;">
               We're looking forward to seeing you there! Come prepared to learn, share, and connect with your brothers in the community.
@@ -180,6 +233,161 @@ export const sendEventReminderEmail = async (user, event) => {
   }
 };
 
+// Send waitlist promotion email
+export const sendWaitlistPromotionEmail = async (user, event) => {
+  try {
+    const msg = {
+      to: user.email,
+      from: process.env.EMAIL_FROM,
+      subject: `You're in! A spot opened up for ${event.title}`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <div style="background: #667eea; padding: 40px 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">You're Off the Waitlist</h1>
+          </div>
+
+          <div style="padding: 40px 20px;">
+            <h2 style="color: #333;">Good news, ${user.name}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              A spot opened up and you've been moved from the waitlist to the attendee list for:
+            </p>
+
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #333;">${event.title}</h3>
+              <p style="color: #666; margin: 5px 0;"><strong>Date:</strong> ${event.date.toLocaleDateString()}</p>
+              <p style="color: #666; margin: 5px 0;"><strong>Time:</strong> ${event.date.toLocaleTimeString()}</p>
+              <p style="color: #666; margin: 5px 0;"><strong>Instructor:</strong> ${event.instructor}</p>
+            </div>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/events/${event._id}"
+                 style="background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                View Event
+              </a>
+            </div>
+
+            <p style="color: #666; line-height: 1.6;">
+              Can't make it anymore? Update your RSVP so the next brother on the waitlist can take your spot.
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    if (emailEnabled) {
+      await sgMail.send(msg);
+      console.log(`✅ Waitlist promotion email sent to ${user.email}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to send waitlist promotion email:', error);
+  }
+};
+
+// Send event cancellation email (one email for all of a member's cancelled sessions)
+export const sendEventCancellationEmail = async (user, events) => {
+  try {
+    const [event] = events;
+    const msg = {
+      to: user.email,
+      from: process.env.EMAIL_FROM,
+      subject: events.length === 1
+        ? `Cancelled: ${event.title}`
+        : `Cancelled: ${events.length} sessions of ${event.title}`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <div style="background: #667eea; padding: 40px 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Event Cancelled</h1>
+          </div>
+
+          <div style="padding: 40px 20px;">
+            <h2 style="color: #333;">Hi ${user.name},</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              Unfortunately the following ${events.length === 1 ? 'event you RSVP\'d to has' : 'sessions you RSVP\'d to have'} been cancelled:
+            </p>
+
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #333;">${event.title}</h3>
+              ${events.map(cancelled => `
+                <p style="color: #666; margin: 5px 0;">${cancelled.date.toLocaleDateString()} at ${cancelled.date.toLocaleTimeString()}</p>
+              `).join('')}
+              <p style="color: #666; margin: 5px 0;"><strong>Instructor:</strong> ${event.instructor}</p>
+            </div>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/events"
+                 style="background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                Browse Upcoming Events
+              </a>
+            </div>
+
+            <p style="color: #666; line-height: 1.6;">
+              We're sorry for the change of plans - we hope to see you at another session soon.
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    if (emailEnabled) {
+      await sgMail.send(msg);
+      console.log(`✅ Event cancellation email sent to ${user.email}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to send event cancellation email:', error);
+  }
+};
+
+// Send event recording/materials email
+export const sendEventResourcesEmail = async (user, event) => {
+  try {
+    const msg = {
+      to: user.email,
+      from: process.env.EMAIL_FROM,
+      subject: `Recording and materials: ${event.title}`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <div style="background: #667eea; padding: 40px 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Session Resources</h1>
+          </div>
+
+          <div style="padding: 40px 20px;">
+            <h2 style="color: #333;">Thanks for joining, ${user.name}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              The resources from <strong>${event.title}</strong> with ${event.instructor} are now available:
+            </p>
+
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              ${event.recordingUrl ? `
+                <p style="color: #666; margin: 5px 0;"><strong>Recording:</strong> <a href="${event.recordingUrl}">Watch the recording</a></p>
+              ` : ''}
+              ${(event.materials || []).map(material => `
+                <p style="color: #666; margin: 5px 0;"><a href="${material.url}">${material.title || material.url}</a>${material.type ? ` (${material.type})` : ''}</p>
+              `).join('')}
+            </div>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/events/${event._id}"
+                 style="background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                View Event
+              </a>
+            </div>
+          </div>
+        </div>
+      `,
+    };
+
+    if (emailEnabled) {
+      await sgMail.send(msg);
+      console.log(`✅ Event resources email sent to ${user.email}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to send event resources email:', error);
+  }
+};
+
 // Send auto-welcome DM to new members
 export const sendAutoWelcomeDM = async (user) => {
   try {
@@ -420,7 +628,11 @@ export const sendFeedbackNotification = async (feedback, recipient, type) => {
 export default {
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendEmailVerificationEmail,
   sendEventReminderEmail,
+  sendWaitlistPromotionEmail,
+  sendEventCancellationEmail,
+  sendEventResourcesEmail,
   sendAutoWelcomeDM,
   sendBadgeEarnedEmail,
   sendCourseCompletionMessage,
@@ -0,0 +1,79 @@
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import { POINT_VALUES } from './pointsCalculator.js';
+import { updateStreak, STREAK_TYPES } from './streakTracker.js';
+import { directLogActivity } from '../middleware/activityLogger.js';
+
+// Side effects of attending an event: points, event streak, activity and webhook.
+const rewardAttendance = async (event, user, { req } = {}) => {
+  const points = event.points ?? POINT_VALUES.ATTEND_EVENT;
+
+  await user.addPoints(points, `Attended ${event.title}`);
+  await updateStreak(user._id, STREAK_TYPES.EVENT);
+
+  await directLogActivity(user._id, 'event_attended', `Attended event: ${event.title}`, {
+    relatedId: event._id,
+    relatedType: 'Event',
+    points,
+    req,
+  });
+
+  // Trigger event attendance webhook
+  setTimeout(async () => {
+    try {
+      await fetch(`http://localhost:${process.env.PORT || 5000}/api/webhooks/zapier/event_attended`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': process.env.PLATFORM_API_KEY,
+        },
+        body: JSON.stringify({
+          userId: user._id,
+          eventId: event._id,
+          eventTitle: event.title,
+          attendanceDate: new Date(),
+        }),
+      });
+    } catch (error) {
+      console.log('Event attendance webhook failed:', error.message);
+    }
+  }, 1000);
+
+  return points;
+};
+
+// Mark a member as attended (or not) and reward a first attendance.
+// The reward is claimed with an atomic update, so points are awarded exactly once per member
+// even with concurrent check-ins or attendance being re-marked.
+// Returns { attended, alreadyCheckedIn, pointsAwarded }.
+export const recordAttendance = async (event, userId, { attended = true, method = 'admin', req } = {}) => {
+  const existing = event.attendees.find(attendee => attendee.user.toString() === userId.toString());
+  const alreadyCheckedIn = Boolean(existing?.attended);
+
+  await event.markAttendance(userId, attended, method);
+
+  if (!attended) {
+    return { attended, alreadyCheckedIn, pointsAwarded: 0 };
+  }
+
+  const claim = await Event.updateOne(
+    {
+      _id: event._id,
+      attendees: { $elemMatch: { user: userId, attendanceRewarded: { $ne: true } } },
+    },
+    { $set: { 'attendees.$.attendanceRewarded': true } }
+  );
+
+  if (claim.modifiedCount === 0) {
+    return { attended, alreadyCheckedIn, pointsAwarded: 0 };
+  }
+
+  const user = await User.findById(userId);
+  const pointsAwarded = user ? await rewardAttendance(event, user, { req }) : 0;
+
+  return { attended, alreadyCheckedIn, pointsAwarded };
+};
+
+export default {
+  recordAttendance,
+};
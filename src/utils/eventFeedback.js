@@ -0,0 +1,251 @@
+import Event from '../models/Event.js';
+import AdminSettings from '../models/AdminSettings.js';
+import Notification from '../models/Notification.js';
+import { emitToUser } from './eventNotifier.js';
+
+// Survey question kinds: rating (1-5), yes_no (boolean), choice (one of `options`), text
+export const SURVEY_QUESTION_KINDS = ['rating', 'yes_no', 'choice', 'text'];
+
+// Survey questions asked (on top of the 1-5 rating and comment) for each event type.
+// Admins can replace them per type; they are stored in the 'events' admin settings.
+export const DEFAULT_FEEDBACK_SURVEYS = {
+  workshop: [
+    { id: 'will_apply', question: 'Will you use what you learned in this workshop?', kind: 'yes_no' },
+    { id: 'pace', question: 'How was the pace?', kind: 'choice', options: ['Too slow', 'Just right', 'Too fast'] },
+    { id: 'instructor', question: 'How would you rate the instructor?', kind: 'rating' },
+  ],
+  qa: [
+    { id: 'question_answered', question: 'Did you get your questions answered?', kind: 'yes_no' },
+  ],
+  onboarding: [
+    { id: 'next_steps_clear', question: 'Do you know what to do next on the platform?', kind: 'yes_no' },
+  ],
+  mentorship: [
+    { id: 'mentor', question: 'How helpful was your mentor?', kind: 'rating' },
+  ],
+  community: [],
+  guest: [
+    { id: 'invite_again', question: 'Should we invite this guest again?', kind: 'yes_no' },
+  ],
+};
+
+// How long after an event ends attendees are still asked for feedback
+const FEEDBACK_REQUEST_WINDOW_DAYS = 3;
+
+// Get the survey questions for an event type
+export const getFeedbackSurvey = async (eventType) => {
+  const settings = await AdminSettings.getByCategory('events');
+  return settings?.settings?.feedbackSurveys?.[eventType] ?? DEFAULT_FEEDBACK_SURVEYS[eventType] ?? [];
+};
+
+// Check survey answers against the questions. Returns { errors, answers } where answers are
+// normalized and keep a copy of the question text (so reports survive later survey edits).
+export const validateSurveyAnswers = (questions, answers = []) => {
+  const errors = [];
+  const cleaned = [];
+
+  for (const question of questions) {
+    const value = answers.find(answer => answer?.questionId === question.id)?.value;
+
+    if (value === undefined || value === null || value === '') {
+      if (question.required) errors.push(`"${question.question}" is required`);
+      continue;
+    }
+
+    let normalized;
+    switch (question.kind) {
+      case 'rating':
+        normalized = Number(value);
+        if (!Number.isInteger(normalized) || normalized < 1 || normalized > 5) {
+          errors.push(`"${question.question}" must be a rating from 1 to 5`);
+          continue;
+        }
+        break;
+      case 'yes_no':
+        if (typeof value !== 'boolean') {
+          errors.push(`"${question.question}" must be true or false`);
+          continue;
+        }
+        normalized = value;
+        break;
+      case 'choice':
+        if (!question.options?.includes(value)) {
+          errors.push(`"${question.question}" must be one of: ${(question.options || []).join(', ')}`);
+          continue;
+        }
+        normalized = value;
+        break;
+      default:
+        if (typeof value !== 'string' || value.trim().length > 1000) {
+          errors.push(`"${question.question}" must be text up to 1000 characters`);
+          continue;
+        }
+        normalized = value.trim();
+    }
+
+    cleaned.push({
+      questionId: question.id,
+      question: question.question,
+      kind: question.kind,
+      value: normalized,
+    });
+  }
+
+  return { errors, answers: cleaned };
+};
+
+// Ask attendees "how was it?" once an event has ended (each attendee is asked once)
+export const sendFeedbackRequests = async () => {
+  let sent = 0;
+
+  try {
+    const now = new Date();
+    const events = await Event.find({
+      status: { $ne: 'cancelled' },
+      isRecurring: { $ne: true },
+      date: {
+        $gte: new Date(now.getTime() - FEEDBACK_REQUEST_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+        $lte: now,
+      },
+      attendees: { $elemMatch: { attended: true, feedbackRequestedAt: null } },
+    });
+
+    for (const event of events) {
+      if (event.getEndDate() > now) continue;
+
+      const alreadyReviewed = new Set(event.feedback.map(feedback => feedback.user.toString()));
+      const attendees = event.attendees.filter(
+        attendee => attendee.attended && !attendee.feedbackRequestedAt
+      );
+
+      for (const attendee of attendees) {
+        const claim = await Event.updateOne(
+          { _id: event._id, attendees: { $elemMatch: { _id: attendee._id, feedbackRequestedAt: null } } },
+          { $set: { 'attendees.$.feedbackRequestedAt': new Date() } }
+        );
+        if (claim.modifiedCount === 0 || alreadyReviewed.has(attendee.user.toString())) continue;
+
+        try {
+          await Notification.createNotification({
+            recipient: attendee.user,
+            type: 'event_feedback',
+            title: `How was ${event.title}?`,
+            message: 'Thanks for attending! Take a minute to rate the session and help us plan the next ones.',
+            data: { eventId: event._id },
+            actionUrl: `/events/${event._id}/feedback`,
+            icon: '⭐',
+          });
+
+          emitToUser(attendee.user, 'feedback_requested', {
+            eventId: event._id,
+            title: event.title,
+          });
+
+          sent++;
+        } catch (error) {
+          console.error(`Failed to request feedback from ${attendee.user}:`, error);
+        }
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`⭐ Sent ${sent} event feedback requests`);
+    }
+  } catch (error) {
+    console.error('Error sending event feedback requests:', error);
+  }
+
+  return sent;
+};
+
+const average = (values) => (
+  values.length > 0
+    ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+    : null
+);
+
+// Summarize the answers to one survey question
+const summarizeQuestion = (answers) => {
+  const { questionId, question, kind } = answers[answers.length - 1];
+  const summary = { questionId, question, kind, responses: answers.length };
+
+  if (kind === 'rating') {
+    summary.averageRating = average(answers.map(answer => answer.value));
+  } else if (kind === 'yes_no') {
+    summary.yesRate = Math.round((answers.filter(answer => answer.value === true).length / answers.length) * 100);
+  } else if (kind === 'choice') {
+    summary.optionCounts = answers.reduce((counts, answer) => {
+      counts[answer.value] = (counts[answer.value] || 0) + 1;
+      return counts;
+    }, {});
+  } else {
+    summary.recentAnswers = answers.slice(-5).map(answer => answer.value);
+  }
+
+  return summary;
+};
+
+// Aggregate feedback per instructor, event type, or both (`groupBy`: instructor | type | instructor_type)
+export const buildFeedbackReport = (events, groupBy = 'instructor_type') => {
+  const groups = new Map();
+
+  for (const event of events) {
+    const key = {
+      instructor: event.instructor,
+      type: event.type,
+      instructor_type: `${event.instructor}|${event.type}`,
+    }[groupBy];
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        instructor: groupBy === 'type' ? undefined : event.instructor,
+        type: groupBy === 'instructor' ? undefined : event.type,
+        events: 0,
+        attended: 0,
+        ratings: [],
+        answers: new Map(),
+        lastEventDate: null,
+      });
+    }
+
+    const group = groups.get(key);
+    group.events++;
+    group.attended += (event.attendees || []).filter(attendee => attendee.attended).length;
+    if (!group.lastEventDate || event.date > group.lastEventDate) group.lastEventDate = event.date;
+
+    for (const feedback of event.feedback || []) {
+      if (feedback.rating) group.ratings.push(feedback.rating);
+      for (const answer of feedback.answers || []) {
+        if (!group.answers.has(answer.questionId)) group.answers.set(answer.questionId, []);
+        group.answers.get(answer.questionId).push(answer);
+      }
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      instructor: group.instructor,
+      type: group.type,
+      events: group.events,
+      attended: group.attended,
+      responses: group.ratings.length,
+      responseRate: group.attended > 0 ? Math.round((group.ratings.length / group.attended) * 100) : 0,
+      averageRating: average(group.ratings),
+      ratingDistribution: [1, 2, 3, 4, 5].reduce((distribution, rating) => {
+        distribution[rating] = group.ratings.filter(value => value === rating).length;
+        return distribution;
+      }, {}),
+      questions: [...group.answers.values()].map(summarizeQuestion),
+      lastEventDate: group.lastEventDate,
+    }))
+    .sort((a, b) => (b.averageRating ?? 0) - (a.averageRating ?? 0) || b.responses - a.responses);
+};
+
+export default {
+  SURVEY_QUESTION_KINDS,
+  DEFAULT_FEEDBACK_SURVEYS,
+  getFeedbackSurvey,
+  validateSurveyAnswers,
+  sendFeedbackRequests,
+  buildFeedbackReport,
+};
@@ -0,0 +1,83 @@
+import Event from '../models/Event.js';
+import { emitEventStatusChanged, notifyEventResources } from './eventNotifier.js';
+
+// Events that ended longer ago than this (e.g. while the server was down) are completed without
+// sending their resources, so old events don't flood attendees when the job first runs
+const RESOURCES_PUBLISH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let isProcessing = false;
+
+// Tell attendees a completed event's recording/materials are available (if it has any).
+// Returns the number of members notified.
+export const publishEventResources = async (event) => {
+  if (!event.recordingUrl && !(event.materials?.length > 0)) return 0;
+
+  event.resourcesPublishedAt = new Date();
+  await Event.updateOne({ _id: event._id }, { $set: { resourcesPublishedAt: event.resourcesPublishedAt } });
+  return notifyEventResources(event);
+};
+
+// Move events along as they start and end: scheduled -> live at the start time, then
+// live -> completed once the duration is over. Each transition is claimed with an atomic update
+// on the current status, so it happens once even if several server instances run the job.
+// Cancelled events and recurring series (templates) are left alone.
+export const processEventLifecycle = async () => {
+  if (isProcessing) return { live: 0, completed: 0 };
+  isProcessing = true;
+
+  let live = 0;
+  let completed = 0;
+
+  try {
+    const now = new Date();
+    const events = await Event.find({
+      status: { $in: ['scheduled', 'live'] },
+      isRecurring: { $ne: true },
+      date: { $lte: now },
+    });
+
+    for (const event of events) {
+      const endDate = event.getEndDate();
+      const nextStatus = endDate <= now ? 'completed' : 'live';
+      if (nextStatus === event.status) continue;
+
+      const claim = await Event.updateOne(
+        { _id: event._id, status: event.status },
+        { $set: { status: nextStatus } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      event.status = nextStatus;
+      emitEventStatusChanged(event);
+
+      if (nextStatus === 'live') {
+        live++;
+        continue;
+      }
+
+      completed++;
+      if (now.getTime() - endDate.getTime() <= RESOURCES_PUBLISH_WINDOW_MS) {
+        try {
+          await publishEventResources(event);
+        } catch (error) {
+          console.error(`Failed to publish resources for event ${event._id}:`, error);
+        }
+      }
+    }
+
+    if (live > 0 || completed > 0) {
+      console.log(`📡 Event lifecycle: ${live} now live, ${completed} completed`);
+    }
+  } catch (error) {
+    console.error('Error updating event statuses:', error);
+  } finally {
+    isProcessing = false;
+  }
+
+  return { live, completed };
+};
+
+export default {
+  publishEventResources,
+  processEventLifecycle,
+};
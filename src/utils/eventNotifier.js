@@ -0,0 +1,168 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import {
+  sendWaitlistPromotionEmail,
+  sendEventCancellationEmail,
+  sendEventResourcesEmail,
+} from './emailService.js';
+
+let io;
+
+export const setSocketIO = (socketInstance) => {
+  io = socketInstance;
+};
+
+// Emit a realtime event to one member's room
+export const emitToUser = (userId, event, payload) => {
+  if (io) {
+    io.to(`user_${userId}`).emit(event, payload);
+  }
+};
+
+// Broadcast an event's status change (events are public, so every client gets it)
+export const emitEventStatusChanged = (event) => {
+  if (io) {
+    io.emit('event_status_changed', {
+      eventId: event._id,
+      title: event.title,
+      status: event.status,
+      date: event.date,
+    });
+  }
+};
+
+// Tell members they were moved off the waitlist (in-app notification, email and socket)
+export const notifyWaitlistPromotions = async (event, promotedAttendees = []) => {
+  for (const attendee of promotedAttendees) {
+    try {
+      const userId = attendee.user._id || attendee.user;
+
+      await Notification.createNotification({
+        recipient: userId,
+        type: 'event_update',
+        title: 'You\'re off the waitlist!',
+        message: `A spot opened up - you're now attending ${event.title}.`,
+        data: { eventId: event._id, status: 'going' },
+        actionUrl: `/events/${event._id}`,
+        icon: '🎟️',
+        priority: 'high',
+      });
+
+      emitToUser(userId, 'waitlist_promoted', {
+        eventId: event._id,
+        title: event.title,
+        date: event.date,
+        status: 'going',
+      });
+
+      const user = await User.findById(userId).select('name email');
+      if (user) {
+        await sendWaitlistPromotionEmail(user, event);
+      }
+    } catch (error) {
+      console.error('Waitlist promotion notification error:', error);
+    }
+  }
+};
+
+// Tell members with an RSVP (going, maybe or waitlisted) that events were cancelled.
+// Members get one notification and email covering all of their cancelled sessions.
+export const notifyEventCancelled = async (events = []) => {
+  const eventsByUser = new Map();
+  for (const event of events) {
+    for (const attendee of event.attendees || []) {
+      if (attendee.status === 'not_going') continue;
+      const userId = (attendee.user._id || attendee.user).toString();
+      if (!eventsByUser.has(userId)) eventsByUser.set(userId, []);
+      eventsByUser.get(userId).push(event);
+    }
+  }
+
+  for (const [userId, userEvents] of eventsByUser) {
+    try {
+      const [event] = userEvents;
+
+      await Notification.createNotification({
+        recipient: userId,
+        type: 'event_update',
+        title: userEvents.length === 1
+          ? `${event.title} was cancelled`
+          : `${userEvents.length} sessions of ${event.title} were cancelled`,
+        message: userEvents.length === 1
+          ? `${event.title} on ${event.date.toLocaleString()} has been cancelled.`
+          : `Sessions from ${event.date.toLocaleDateString()} on have been cancelled.`,
+        data: { eventIds: userEvents.map(cancelled => cancelled._id), status: 'cancelled' },
+        actionUrl: `/events/${event._id}`,
+        icon: '🚫',
+        priority: 'high',
+      });
+
+      emitToUser(userId, 'event_cancelled', {
+        eventIds: userEvents.map(cancelled => cancelled._id),
+        title: event.title,
+        dates: userEvents.map(cancelled => cancelled.date),
+      });
+
+      const user = await User.findById(userId).select('name email');
+      if (user) {
+        await sendEventCancellationEmail(user, userEvents);
+      }
+    } catch (error) {
+      console.error('Event cancellation notification error:', error);
+    }
+  }
+
+  for (const event of events) {
+    emitEventStatusChanged(event);
+  }
+};
+
+// Send a completed event's recording and materials to the members who attended or were going.
+// Returns the number of members notified.
+export const notifyEventResources = async (event) => {
+  const userIds = (event.attendees || [])
+    .filter(attendee => attendee.attended || attendee.status === 'going')
+    .map(attendee => attendee.user._id || attendee.user);
+
+  const users = await User.find({ _id: { $in: userIds }, isBanned: { $ne: true } }).select('name email');
+  let notified = 0;
+
+  for (const user of users) {
+    try {
+      await Notification.createNotification({
+        recipient: user._id,
+        type: 'event_update',
+        title: `Resources for ${event.title} are available`,
+        message: event.recordingUrl
+          ? 'The recording and session materials are ready to watch.'
+          : 'The session materials are ready.',
+        data: { eventId: event._id, recordingUrl: event.recordingUrl },
+        actionUrl: `/events/${event._id}`,
+        icon: '🎬',
+      });
+
+      emitToUser(user._id, 'event_resources_published', {
+        eventId: event._id,
+        title: event.title,
+        recordingUrl: event.recordingUrl,
+        materials: event.materials,
+      });
+
+      await sendEventResourcesEmail(user, event);
+      notified++;
+    } catch (error) {
+      console.error(`Failed to send event resources to ${user._id}:`, error);
+    }
+  }
+
+  return notified;
+};
+
+export default {
+  setSocketIO,
+  emitToUser,
+  emitEventStatusChanged,
+  notifyWaitlistPromotions,
+  notifyEventCancelled,
+  notifyEventResources,
+};
@@ -0,0 +1,288 @@
+import Event from '../models/Event.js';
+
+// How far ahead occurrences of a recurring event are generated
+export const OCCURRENCE_HORIZON_DAYS = 90;
+
+// Fields an occurrence copies from its series (and that series-wide edits keep in sync)
+const SERIES_FIELDS = [
+  'title',
+  'description',
+  'duration',
+  'type',
+  'category',
+  'instructor',
+  'instructorBio',
+  'instructorAvatar',
+  'maxAttendees',
+  'zoomLink',
+  'meetingId',
+  'passcode',
+  'tags',
+  'phase',
+  'points',
+];
+
+// Meeting details are hidden by default, but occurrences need them from their series
+const MEETING_DETAIL_FIELDS = '+zoomLink +meetingId +passcode';
+
+// Fields that describe the series structure and can't be set on an occurrence
+const STRUCTURE_FIELDS = ['isRecurring', 'recurringPattern', 'generatedUntil', 'series', 'occurrenceDate', 'isException'];
+
+const pickSeriesFields = (source) => SERIES_FIELDS.reduce((fields, key) => {
+  if (source[key] !== undefined) fields[key] = source[key];
+  return fields;
+}, {});
+
+const omitStructureFields = (updates) => Object.fromEntries(
+  Object.entries(updates).filter(([key]) => !STRUCTURE_FIELDS.includes(key))
+);
+
+const getHorizon = () => new Date(Date.now() + OCCURRENCE_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+
+const samePattern = (a = {}, b = {}) => (
+  a.frequency === b.frequency &&
+  JSON.stringify([...(a.daysOfWeek || [])].sort()) === JSON.stringify([...(b.daysOfWeek || [])].sort()) &&
+  new Date(a.endDate || 0).getTime() === new Date(b.endDate || 0).getTime()
+);
+
+// Create the occurrences of a series up to the horizon (slots that already have an occurrence are skipped).
+// Returns the created occurrences.
+export const generateOccurrences = async (series, until = getHorizon()) => {
+  if (!series.isSeries || series.status === 'cancelled') return [];
+
+  const from = series.generatedUntil || new Date(series.date.getTime() - 1);
+  if (from >= until) return [];
+
+  const dates = series.getOccurrenceDates(from, until);
+  const existing = await Event.find({ series: series._id, occurrenceDate: { $in: dates } })
+    .select('occurrenceDate')
+    .lean();
+  const existingTimes = new Set(existing.map(occurrence => occurrence.occurrenceDate.getTime()));
+
+  const template = pickSeriesFields(series);
+  const created = [];
+
+  for (const date of dates) {
+    if (existingTimes.has(date.getTime())) continue;
+
+    created.push(await Event.create({
+      ...template,
+      date,
+      occurrenceDate: date,
+      series: series._id,
+      reminders: (series.reminders || []).map(reminder => ({ type: reminder.type })),
+    }));
+  }
+
+  series.generatedUntil = until;
+  await series.save();
+
+  return created;
+};
+
+// Daily job: extend every active series up to the horizon
+export const generateAllOccurrences = async () => {
+  let created = 0;
+
+  try {
+    const cursor = Event.find({
+      isRecurring: true,
+      series: null,
+      status: { $ne: 'cancelled' },
+      $or: [
+        { 'recurringPattern.endDate': null },
+        { 'recurringPattern.endDate': { $gte: new Date() } },
+      ],
+    }).select(MEETING_DETAIL_FIELDS).cursor();
+
+    for (let series = await cursor.next(); series; series = await cursor.next()) {
+      try {
+        created += (await generateOccurrences(series)).length;
+      } catch (error) {
+        console.error(`Occurrence generation failed for event ${series._id}:`, error);
+      }
+    }
+
+    console.log(`🔁 Generated ${created} recurring event occurrences`);
+  } catch (error) {
+    console.error('Error generating recurring event occurrences:', error);
+  }
+
+  return created;
+};
+
+// Apply an edit to `series` and every non-exception occurrence from `fromDate` on.
+// A date change shifts those occurrences by the same amount: the new date minus the date of the event
+// the admin edited (`shownEvent`, the series itself or an occurrence). Occurrences whose slot no longer fits
+// the pattern are deleted, or cancelled if members have RSVP'd. Changing the date or pattern from
+// part-way through the series splits it: the original series ends before `fromDate`.
+const updateFutureOccurrences = async (
+  series,
+  fromDate,
+  updates,
+  editedOccurrence = null,
+  shownEvent = editedOccurrence || series
+) => {
+  const shift = updates.date ? new Date(updates.date).getTime() - shownEvent.date.getTime() : 0;
+  const patternChanged = updates.recurringPattern !== undefined &&
+    !samePattern(updates.recurringPattern, series.recurringPattern);
+  const splitSeries = (shift !== 0 || patternChanged) && editedOccurrence && fromDate > series.date;
+
+  let target = series;
+  if (splitSeries) {
+    target = new Event({
+      ...pickSeriesFields(series),
+      isRecurring: true,
+      recurringPattern: series.recurringPattern,
+      reminders: (series.reminders || []).map(reminder => ({ type: reminder.type })),
+      date: new Date(fromDate.getTime() + shift),
+    });
+
+    series.recurringPattern.endDate = new Date(fromDate.getTime() - 1);
+    await series.save();
+  } else if (shift !== 0) {
+    target.date = new Date(target.date.getTime() + shift);
+  }
+
+  target.set(pickSeriesFields(updates));
+  if (patternChanged) {
+    target.recurringPattern = updates.recurringPattern;
+  }
+  // Slots already covered are skipped when generating, so regenerate from now to fill any new ones
+  target.generatedUntil = new Date(Math.max(Date.now(), target.date.getTime()) - 1);
+  await target.save();
+
+  const occurrences = await Event.find({
+    series: series._id,
+    occurrenceDate: { $gte: fromDate },
+    $or: [
+      { isException: false },
+      ...(editedOccurrence ? [{ _id: editedOccurrence._id }] : []),
+    ],
+  }).sort({ occurrenceDate: 1 });
+
+  const result = { updated: 0, cancelled: 0, removed: 0, promotions: [] };
+
+  for (const occurrence of occurrences) {
+    const slot = new Date(occurrence.occurrenceDate.getTime() + shift);
+
+    if (target.isOccurrenceDate(slot)) {
+      occurrence.set(pickSeriesFields(updates));
+      occurrence.series = target._id;
+      occurrence.occurrenceDate = slot;
+      occurrence.date = new Date(occurrence.date.getTime() + shift);
+      occurrence.isException = false;
+      const promoted = occurrence.promoteFromWaitlist();
+      await occurrence.save();
+      result.updated++;
+      if (promoted.length > 0) result.promotions.push({ event: occurrence, promoted });
+    } else if (occurrence.hasActiveRSVPs()) {
+      occurrence.status = 'cancelled';
+      await occurrence.save();
+      result.cancelled++;
+    } else {
+      await occurrence.deleteOne();
+      result.removed++;
+    }
+  }
+
+  const created = await generateOccurrences(target);
+
+  return { series: target, ...result, created: created.length };
+};
+
+// Apply an admin edit to an event.
+// - one-off events and `scope: 'this'` on an occurrence only change that event (the occurrence becomes an exception)
+// - `scope: 'future'` on an occurrence changes it and every later occurrence in its series
+// - editing the series itself works like `scope: 'future'` from its next upcoming occurrence
+// A raised capacity fills the new spots from the waitlist; `promotions` lists who moved up where.
+// `event` must be loaded with its meeting details (they are copied to new occurrences).
+// Returns { event, promotions, series?, updated?, cancelled?, removed?, created? }
+export const updateEvent = async (event, updates, scope = 'this') => {
+  if (event.isSeries) {
+    const next = await Event.findOne({
+      series: event._id,
+      occurrenceDate: { $gte: new Date() },
+      isException: false,
+    }).sort({ occurrenceDate: 1 });
+
+    const result = await updateFutureOccurrences(event, next ? next.occurrenceDate : new Date(), updates, next, event);
+    return { event: result.series, ...result };
+  }
+
+  if (event.series && scope === 'future') {
+    const series = await Event.findById(event.series).select(MEETING_DETAIL_FIELDS);
+    if (series) {
+      const result = await updateFutureOccurrences(series, event.occurrenceDate, updates, event);
+      return { event: await Event.findById(event._id), ...result };
+    }
+  }
+
+  if (event.series) {
+    event.set(omitStructureFields(updates));
+    event.isException = true;
+  } else {
+    event.set(updates);
+  }
+  const promoted = event.promoteFromWaitlist();
+  await event.save();
+
+  const promotions = promoted.length > 0 ? [{ event, promoted }] : [];
+
+  // A one-off event turned into a recurring one starts generating occurrences
+  if (event.isSeries) {
+    const created = await generateOccurrences(event);
+    return { event, promotions, created: created.length };
+  }
+
+  return { event, promotions };
+};
+
+// Cancel an event.
+// - `scope: 'future'` on an occurrence ends its series before it and cancels it and every later occurrence
+// - cancelling the series itself cancels every upcoming occurrence
+// Returns the cancelled events.
+export const cancelEvent = async (event, scope = 'this') => {
+  let occurrenceQuery = null;
+  let series = null;
+
+  if (event.isSeries) {
+    series = event;
+    series.status = 'cancelled';
+    occurrenceQuery = { series: series._id, date: { $gte: new Date() } };
+  } else if (event.series && scope === 'future') {
+    series = await Event.findById(event.series);
+    if (series) {
+      series.recurringPattern.endDate = new Date(event.occurrenceDate.getTime() - 1);
+      occurrenceQuery = { series: series._id, occurrenceDate: { $gte: event.occurrenceDate } };
+    }
+  }
+
+  if (!occurrenceQuery) {
+    event.status = 'cancelled';
+    await event.save();
+    return [event];
+  }
+
+  await series.save();
+
+  const occurrences = await Event.find({
+    ...occurrenceQuery,
+    status: { $in: ['scheduled', 'live'] },
+  });
+
+  for (const occurrence of occurrences) {
+    occurrence.status = 'cancelled';
+    await occurrence.save();
+  }
+
+  return occurrences;
+};
+
+export default {
+  OCCURRENCE_HORIZON_DAYS,
+  generateOccurrences,
+  generateAllOccurrences,
+  updateEvent,
+  cancelEvent,
+};
@@ -0,0 +1,147 @@
+import cron from 'node-cron';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { sendEventReminderEmail } from './emailService.js';
+import { emitToUser } from './eventNotifier.js';
+
+// How long before the start each reminder type is due
+const REMINDER_OFFSETS_MS = {
+  '1week': 7 * 24 * 60 * 60 * 1000,
+  '1day': 24 * 60 * 60 * 1000,
+  '1hour': 60 * 60 * 1000,
+};
+
+let isProcessing = false;
+
+// Describe the time until an event starts (e.g. "Starts in 2 hours")
+const describeTimeUntil = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / (60 * 1000)));
+  const hours = Math.round(minutes / 60);
+  const days = Math.round(hours / 24);
+
+  if (hours >= 20 && hours <= 28) return 'Tomorrow';
+  if (hours >= 24) return `Starts in ${days} day${days > 1 ? 's' : ''}`;
+  if (minutes >= 60) return `Starts in ${hours} hour${hours > 1 ? 's' : ''}`;
+  return `Starts in ${minutes} minute${minutes > 1 ? 's' : ''}`;
+};
+
+// Deliver one reminder to the members going to an event.
+// In-app notifications are always created; email and socket push follow each member's eventReminders preferences.
+const deliverReminder = async (event) => {
+  const timeUntil = describeTimeUntil(event.date.getTime() - Date.now());
+  const attendeeIds = event.attendees
+    .filter(attendee => attendee.status === 'going')
+    .map(attendee => attendee.user);
+
+  const users = await User.find({ _id: { $in: attendeeIds }, isBanned: { $ne: true } })
+    .select('name email notificationPreferences');
+
+  let delivered = 0;
+
+  for (const user of users) {
+    try {
+      await Notification.createNotification({
+        recipient: user._id,
+        type: 'event_reminder',
+        title: `${event.title} - ${timeUntil}`,
+        message: `${event.title} with ${event.instructor} starts ${event.date.toLocaleString()}.`,
+        data: { eventId: event._id, date: event.date },
+        actionUrl: `/events/${event._id}`,
+        icon: '📅',
+        priority: 'high',
+      });
+
+      if (user.notificationPreferences?.push?.eventReminders) {
+        emitToUser(user._id, 'event_reminder', {
+          eventId: event._id,
+          title: event.title,
+          date: event.date,
+          timeUntil,
+        });
+      }
+
+      if (user.notificationPreferences?.email?.eventReminders !== false) {
+        await sendEventReminderEmail(user, event, timeUntil);
+      }
+
+      delivered++;
+    } catch (error) {
+      console.error(`Failed to send event reminder to ${user._id}:`, error);
+    }
+  }
+
+  return delivered;
+};
+
+// Send every reminder that is due (each one exactly once).
+// A reminder is claimed by atomically flipping its `sent` flag, so it is never sent twice, even if
+// several server instances run the job. When more than one reminder is overdue (e.g. an event created
+// the day before), only the closest one is sent and the others are marked sent.
+export const processDueReminders = async () => {
+  if (isProcessing) return { eventsChecked: 0, remindersSent: 0 };
+  isProcessing = true;
+
+  let eventsChecked = 0;
+  let remindersSent = 0;
+
+  try {
+    const now = new Date();
+    const events = await Event.find({
+      status: 'scheduled',
+      isRecurring: { $ne: true },
+      date: { $gt: now, $lte: new Date(now.getTime() + REMINDER_OFFSETS_MS['1week']) },
+      'reminders.sent': false,
+    });
+
+    for (const event of events) {
+      eventsChecked++;
+
+      const dueReminders = event.reminders
+        .filter(reminder => !reminder.sent && REMINDER_OFFSETS_MS[reminder.type])
+        .filter(reminder => now.getTime() >= event.date.getTime() - REMINDER_OFFSETS_MS[reminder.type])
+        .sort((a, b) => REMINDER_OFFSETS_MS[a.type] - REMINDER_OFFSETS_MS[b.type]);
+
+      if (dueReminders.length === 0) continue;
+
+      const [reminder, ...skipped] = dueReminders;
+
+      for (const skippedReminder of skipped) {
+        await Event.updateOne(
+          { _id: event._id, 'reminders._id': skippedReminder._id },
+          { $set: { 'reminders.$.sent': true } }
+        );
+      }
+
+      const claim = await Event.updateOne(
+        { _id: event._id, reminders: { $elemMatch: { _id: reminder._id, sent: false } } },
+        { $set: { 'reminders.$.sent': true, 'reminders.$.sentAt': new Date() } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      await deliverReminder(event);
+      remindersSent++;
+    }
+
+    if (remindersSent > 0) {
+      console.log(`⏰ Sent ${remindersSent} event reminders`);
+    }
+  } catch (error) {
+    console.error('Error processing event reminders:', error);
+  } finally {
+    isProcessing = false;
+  }
+
+  return { eventsChecked, remindersSent };
+};
+
+// Check for due reminders every minute
+export const startEventReminderScheduler = () => {
+  cron.schedule('* * * * *', processDueReminders);
+  console.log('⏰ Event reminder scheduler started');
+};
+
+export default {
+  processDueReminders,
+  startEventReminderScheduler,
+};
@@ -1,14 +1,19 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
-export const generateAccessToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+// `family` ties an access token to the login session it was issued for,
+// so revoking the session also invalidates the access token
+export const generateAccessToken = (userId, family) => {
+  const payload = family ? { id: userId, fam: family } : { id: userId };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRES_IN || '7d',
   });
 };
 
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
+export const generateRefreshToken = (userId, family) => {
+  return jwt.sign({ id: userId, fam: family }, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
     expiresIn: '30d',
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -18,4 +23,4 @@ export const verifyToken = (token) => {
 
 export const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
-};
\ No newline at end of file
+};
@@ -0,0 +1,200 @@
+// iCalendar (RFC 5545) output for event downloads and calendar subscription feeds
+
+const PRODUCT_ID = '-//YOU YES YOU//Community Events//EN';
+const UID_DOMAIN = 'youyesyou.com';
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+export const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Format a date as a UTC date-time (e.g. 20261020T190000Z)
+export const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1)
+const foldLine = (line) => {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const eventUrl = (event) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}`;
+
+const eventUid = (event) => `event-${event._id}@${UID_DOMAIN}`;
+
+const describeEvent = (event) => [
+  event.description,
+  '',
+  `Instructor: ${event.instructor}`,
+  `Phase: ${event.phase}`,
+  `Details: ${eventUrl(event)}`,
+].join('\n');
+
+// Build the RRULE for a series' recurringPattern.
+// Occurrences are generated in server time, so weekdays are shifted to match the UTC DTSTART.
+export const buildRRule = (series) => {
+  const { frequency, daysOfWeek, endDate } = series.recurringPattern || {};
+  const parts = [];
+
+  if (frequency === 'monthly') {
+    parts.push('FREQ=MONTHLY');
+  } else {
+    const start = new Date(series.date);
+    const offset = start.getUTCDay() - start.getDay();
+    const days = daysOfWeek?.length ? [...new Set(daysOfWeek)].sort((a, b) => a - b) : [start.getDay()];
+
+    parts.push('FREQ=WEEKLY');
+    if (frequency === 'biweekly') parts.push('INTERVAL=2');
+    parts.push(`BYDAY=${days.map(day => DAY_CODES[(day + offset + 7) % 7]).join(',')}`);
+    parts.push('WKST=SU');
+  }
+
+  if (endDate) parts.push(`UNTIL=${formatDateTime(endDate)}`);
+
+  return parts.join(';');
+};
+
+// Build one VEVENT (as content lines)
+const buildVEvent = (event, {
+  uid = eventUid(event),
+  start = event.date,
+  end = event.getEndDate(),
+  recurrenceId,
+  rrule,
+  exdates = [],
+  status,
+} = {}) => {
+  const lastModified = formatDateTime(event.updatedAt || new Date());
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${lastModified}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+  ];
+
+  if (recurrenceId) lines.push(`RECURRENCE-ID:${formatDateTime(recurrenceId)}`);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  if (exdates.length > 0) lines.push(`EXDATE:${exdates.map(formatDateTime).join(',')}`);
+
+  lines.push(
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(describeEvent(event))}`,
+    `CATEGORIES:${escapeText(event.type)}`,
+    'LOCATION:Online',
+    `URL:${eventUrl(event)}`,
+    `STATUS:${status || (event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED')}`,
+    `LAST-MODIFIED:${lastModified}`,
+    'END:VEVENT',
+  );
+
+  return lines;
+};
+
+// Build the VEVENTs for a recurring series: one VEVENT with an RRULE, EXDATEs for slots that were
+// cancelled or removed, overrides (RECURRENCE-ID) for occurrences edited on their own, and standalone
+// VEVENTs for occurrences that no longer fit the pattern. Slots before `since` are left to the RRULE.
+const buildSeriesVEvents = (series, occurrences = [], { since } = {}) => {
+  const uid = `series-${series._id}@${UID_DOMAIN}`;
+  const slots = series.getOccurrenceDates(
+    new Date(series.date.getTime() - 1),
+    series.generatedUntil || series.date
+  );
+
+  if (slots.length === 0) {
+    return occurrences.flatMap(occurrence => buildVEvent(occurrence));
+  }
+
+  const durationMs = series.getEndDate().getTime() - series.date.getTime();
+  const slotTimes = new Set(slots.map(slot => slot.getTime()));
+  const bySlot = new Map(occurrences.map(occurrence => [occurrence.occurrenceDate.getTime(), occurrence]));
+  const exdates = [];
+  const overrides = [];
+
+  for (const slot of slots) {
+    if (since && slot < since) continue;
+
+    const occurrence = bySlot.get(slot.getTime());
+    if (!occurrence || occurrence.status === 'cancelled') {
+      exdates.push(slot);
+    } else if (occurrence.isException || occurrence.date.getTime() !== slot.getTime()) {
+      overrides.push(occurrence);
+    }
+  }
+
+  const standalone = occurrences.filter(
+    occurrence => !slotTimes.has(occurrence.occurrenceDate.getTime())
+  );
+
+  return [
+    ...buildVEvent(series, {
+      uid,
+      start: slots[0],
+      end: new Date(slots[0].getTime() + durationMs),
+      rrule: buildRRule(series),
+      exdates,
+    }),
+    ...overrides.flatMap(occurrence => buildVEvent(occurrence, { uid, recurrenceId: occurrence.occurrenceDate })),
+    ...standalone.flatMap(occurrence => buildVEvent(occurrence)),
+  ];
+};
+
+// Build a VCALENDAR document.
+// Series in `events` are written as recurring VEVENTs using their `occurrences`; everything else
+// (one-off events and individual occurrences) as single VEVENTs. `statusFor(event)` can override STATUS.
+export const buildCalendar = (name, events, { occurrences = [], since, statusFor } = {}) => {
+  const components = events.flatMap(event => {
+    if (event.isSeries) {
+      const seriesOccurrences = occurrences.filter(
+        occurrence => occurrence.series.toString() === event._id.toString()
+      );
+      return buildSeriesVEvents(event, seriesOccurrences, { since });
+    }
+    return buildVEvent(event, { status: statusFor?.(event) });
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ...components,
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export default {
+  escapeText,
+  formatDateTime,
+  buildRRule,
+  buildCalendar,
+};
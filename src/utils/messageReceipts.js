@@ -0,0 +1,333 @@
+import mongoose from 'mongoose';
+import { Message, Conversation } from '../models/Message.js';
+import Connection from '../models/Connection.js';
+
+// A typing indicator clears itself if the client doesn't refresh it within this time
+const TYPING_TIMEOUT_MS = 8 * 1000;
+
+// Most message IDs accepted in one delivery acknowledgement
+const MAX_RECEIPT_BATCH = 100;
+
+// Most messages marked delivered in one go (anything left is picked up next time)
+const MAX_DELIVERY_UPDATE = 500;
+
+// Messages that get receipts: other people's, not deleted, and not group system messages.
+// Members blocked by (or blocking) the reader get no receipts, so they can't tell when the reader is active.
+const receiptFilter = (userId, blockedIds = []) => ({
+  sender: { $ne: userId, $nin: blockedIds },
+  isDeleted: false,
+  type: { $ne: 'system' },
+});
+
+const participantId = (participant) => (participant.user?._id || participant.user)?.toString();
+
+// Emit a socket event to the active participants of a conversation, optionally skipping one user
+// (`except`) and a list of others (`skip`, e.g. members blocked by or blocking the sender).
+// Members who left or were removed stay in `participants` but no longer get the conversation's events.
+export const emitToParticipants = (io, conversation, event, payload, { except, skip = [] } = {}) => {
+  if (!io) return;
+
+  const skipped = new Set(skip.map(id => id.toString()));
+  conversation.getActiveParticipants().forEach(participant => {
+    const userId = participantId(participant);
+    if (userId && userId !== except?.toString() && !skipped.has(userId)) {
+      io.to(`user_${userId}`).emit(event, payload);
+    }
+  });
+};
+
+// Unread messages of each conversation: newer than the member's lastRead and not in readBy.
+// Returns the query conditions for the conversations the user is an active participant of.
+const unreadConditions = (conversations, userId) => conversations
+  .map(conversation => {
+    const participant = conversation.getActiveParticipant(userId);
+    return participant && { conversation: conversation._id, createdAt: { $gt: participant.lastRead } };
+  })
+  .filter(Boolean);
+
+// Add `userId` to deliveredTo of the matching messages and tell each sender
+const recordDelivery = async (io, userId, query) => {
+  const blockedIds = await Connection.getBlockedUserIds(userId);
+  const messages = await Message.find({
+    ...query,
+    ...receiptFilter(userId, blockedIds),
+    'deliveredTo.user': { $ne: userId },
+  })
+    .select('conversation sender')
+    .limit(MAX_DELIVERY_UPDATE)
+    .lean();
+
+  if (messages.length === 0) return 0;
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: messages.map(message => message._id) }, 'deliveredTo.user': { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, timestamp: deliveredAt } } }
+  );
+
+  // Senders only hear about their own messages
+  const groups = new Map();
+  for (const message of messages) {
+    const key = `${message.conversation}:${message.sender}`;
+    if (!groups.has(key)) {
+      groups.set(key, { conversationId: message.conversation, senderId: message.sender, messageIds: [] });
+    }
+    groups.get(key).messageIds.push(message._id);
+  }
+
+  if (io) {
+    for (const { conversationId, senderId, messageIds } of groups.values()) {
+      io.to(`user_${senderId}`).emit('message_delivered', {
+        conversationId,
+        messageIds,
+        userId,
+        deliveredAt,
+      });
+    }
+  }
+
+  return messages.length;
+};
+
+// Record that messages reached one of the user's devices (acknowledged over the socket).
+// Messages in conversations the user isn't an active participant of, or in message requests they
+// haven't accepted, are ignored.
+export const acknowledgeDelivery = async (io, userId, messageIds = []) => {
+  const ids = messageIds.filter(id => mongoose.isValidObjectId(id)).slice(0, MAX_RECEIPT_BATCH);
+  if (ids.length === 0) return 0;
+
+  const conversationIds = await Message.distinct('conversation', { _id: { $in: ids } });
+  const memberOf = await Conversation.find({
+    _id: { $in: conversationIds },
+    participants: { $elemMatch: { user: userId, isActive: true } },
+    ...Conversation.excludeUnacceptedRequests(userId),
+  }).distinct('_id');
+
+  return recordDelivery(io, userId, { _id: { $in: ids }, conversation: { $in: memberOf } });
+};
+
+// Record delivery of every unread message in the given conversations (e.g. when the inbox is loaded)
+export const markConversationsDelivered = async (io, userId, conversations) => {
+  const conditions = unreadConditions(conversations, userId);
+  if (conditions.length === 0) return 0;
+
+  return recordDelivery(io, userId, { $or: conditions });
+};
+
+// Mark a conversation read up to `upTo` (a message ID; defaults to everything). Fills readBy (and
+// deliveredTo, since reading implies delivery), moves the member's lastRead forward and tells the
+// conversation's active participants. Message requests send no receipts until accepted.
+// Returns the IDs of the messages newly marked read.
+export const markMessagesRead = async (io, conversation, userId, { upTo } = {}) => {
+  const participant = conversation.getActiveParticipant(userId);
+  if (!participant || conversation.isUnacceptedRequestFor(userId)) return [];
+
+  const readAt = new Date();
+  let until = readAt;
+
+  if (upTo) {
+    const lastMessage = await Message.findOne({ _id: upTo, conversation: conversation._id }).select('createdAt');
+    if (!lastMessage) return [];
+    until = lastMessage.createdAt;
+  }
+
+  const blockedIds = await Connection.getBlockedUserIds(userId);
+  const messages = await Message.find({
+    conversation: conversation._id,
+    ...receiptFilter(userId, blockedIds),
+    createdAt: { $gt: participant.lastRead, $lte: until },
+    'readBy.user': { $ne: userId },
+  })
+    .select('_id')
+    .lean();
+  const messageIds = messages.map(message => message._id);
+
+  if (messageIds.length > 0) {
+    await Message.updateMany(
+      { _id: { $in: messageIds }, 'readBy.user': { $ne: userId } },
+      { $push: { readBy: { user: userId, timestamp: readAt } } }
+    );
+    await Message.updateMany(
+      { _id: { $in: messageIds }, 'deliveredTo.user': { $ne: userId } },
+      { $push: { deliveredTo: { user: userId, timestamp: readAt } } }
+    );
+  }
+
+  await Conversation.updateOne(
+    { _id: conversation._id, 'participants.user': userId },
+    { $max: { 'participants.$.lastRead': until } }
+  );
+  if (until > participant.lastRead) {
+    participant.lastRead = until;
+  }
+
+  if (messageIds.length > 0) {
+    emitToParticipants(io, conversation, 'messages_read', {
+      conversationId: conversation._id,
+      userId,
+      messageIds,
+      readAt,
+      readUpTo: until,
+    }, { skip: blockedIds });
+  }
+
+  return messageIds;
+};
+
+// Count unread messages per conversation. Returns a Map of conversation ID -> count.
+export const countUnreadMessages = async (conversations, userId) => {
+  const conditions = unreadConditions(conversations, userId);
+  if (conditions.length === 0) return new Map();
+
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        $or: conditions,
+        ...receiptFilter(userId),
+        'readBy.user': { $ne: userId },
+      },
+    },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Receipt status of a message for its sender: 'read' once every other active participant who was there
+// when it was sent has read it, 'delivered' once it reached all of them, otherwise 'sent'
+export const getReceiptStatus = (message, conversation) => {
+  const senderId = (message.sender._id || message.sender).toString();
+  const recipients = conversation.getActiveParticipants().filter(
+    participant => participantId(participant) !== senderId && participant.joinedAt <= message.createdAt
+  );
+
+  if (recipients.length === 0) return 'sent';
+
+  const reachedAll = (receipts = []) => recipients.every(participant => (
+    receipts.some(receipt => receipt.user?.toString() === participantId(participant))
+  ));
+
+  if (reachedAll(message.readBy)) return 'read';
+  if (reachedAll(message.deliveredTo)) return 'delivered';
+  return 'sent';
+};
+
+// Wire typing indicators and delivery/read acknowledgements for an authenticated socket.
+// Client events: typing_start / typing_stop { conversationId }, message_delivered { messageIds },
+// message_read { conversationId, messageId? }. Receipt events accept an ack callback ({ success, count }).
+export const trackMessagingEvents = (io, socket) => {
+  const userId = socket.user._id.toString();
+  // conversationId -> timer that clears this socket's typing indicator
+  const typingTimers = new Map();
+
+  // Membership is checked on every typing event rather than cached, so a member who was just removed
+  // (or left) can't keep signalling the conversation
+  const getMemberConversation = async (conversationId) => {
+    if (!mongoose.isValidObjectId(conversationId)) return null;
+
+    // Typing isn't shared in message requests until they are accepted
+    return Conversation.findOne({
+      _id: conversationId,
+      participants: { $elemMatch: { user: userId, isActive: true } },
+      'request.status': { $nin: ['pending', 'declined'] },
+    }).select('participants');
+  };
+
+  // Members blocked by (or blocking) this user don't see them typing
+  const emitTyping = async (conversation, isTyping) => {
+    const blockedIds = await Connection.getBlockedUserIds(userId);
+    emitToParticipants(io, conversation, 'typing', {
+      conversationId: conversation._id,
+      userId,
+      isTyping,
+    }, { except: userId, skip: blockedIds });
+  };
+
+  const stopTyping = async (conversationId) => {
+    const timer = typingTimers.get(conversationId);
+    if (!timer) return;
+
+    clearTimeout(timer);
+    typingTimers.delete(conversationId);
+
+    try {
+      // Loaded again so only the current participants are told
+      const conversation = await Conversation.findById(conversationId).select('participants');
+      if (conversation) await emitTyping(conversation, false);
+    } catch (error) {
+      console.error('Typing indicator error:', error);
+    }
+  };
+
+  socket.on('typing_start', async (payload) => {
+    try {
+      const conversationId = String(payload?.conversationId);
+      const conversation = await getMemberConversation(conversationId);
+
+      // No longer a member (e.g. removed mid-typing): clear the indicator the others still see
+      if (!conversation) {
+        await stopTyping(conversationId);
+        return;
+      }
+
+      const wasTyping = typingTimers.has(conversationId);
+      clearTimeout(typingTimers.get(conversationId));
+      typingTimers.set(conversationId, setTimeout(() => stopTyping(conversationId), TYPING_TIMEOUT_MS));
+
+      // Refreshes only extend the timeout; participants already know
+      if (!wasTyping) await emitTyping(conversation, true);
+    } catch (error) {
+      console.error('Typing indicator error:', error);
+    }
+  });
+
+  socket.on('typing_stop', (payload) => {
+    stopTyping(String(payload?.conversationId));
+  });
+
+  socket.on('message_delivered', async (payload, ack) => {
+    try {
+      const messageIds = Array.isArray(payload?.messageIds) ? payload.messageIds : [];
+      const count = await acknowledgeDelivery(io, socket.user._id, messageIds);
+      if (typeof ack === 'function') ack({ success: true, count });
+    } catch (error) {
+      console.error('Delivery receipt error:', error);
+      if (typeof ack === 'function') ack({ success: false, message: 'Could not record delivery' });
+    }
+  });
+
+  socket.on('message_read', async (payload, ack) => {
+    try {
+      const conversationId = payload?.conversationId;
+      const conversation = mongoose.isValidObjectId(conversationId)
+        ? await Conversation.findById(conversationId)
+        : null;
+
+      if (!conversation?.getActiveParticipant(userId)) {
+        if (typeof ack === 'function') ack({ success: false, message: 'Conversation not found' });
+        return;
+      }
+
+      const upTo = mongoose.isValidObjectId(payload?.messageId) ? payload.messageId : undefined;
+      const messageIds = await markMessagesRead(io, conversation, socket.user._id, { upTo });
+      if (typeof ack === 'function') ack({ success: true, count: messageIds.length });
+    } catch (error) {
+      console.error('Read receipt error:', error);
+      if (typeof ack === 'function') ack({ success: false, message: 'Could not record read receipt' });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    [...typingTimers.keys()].forEach(stopTyping);
+  });
+};
+
+export default {
+  emitToParticipants,
+  acknowledgeDelivery,
+  markConversationsDelivered,
+  markMessagesRead,
+  countUnreadMessages,
+  getReceiptStatus,
+  trackMessagingEvents,
+};
@@ -0,0 +1,125 @@
+import Connection from '../models/Connection.js';
+import { Message } from '../models/Message.js';
+
+// Shown for blocks and declined requests alike, so neither is revealed to the other member
+const UNAVAILABLE_MESSAGE = 'You can\'t message this member';
+
+const participantId = (participant) => (participant.user?._id || participant.user)?.toString();
+
+// Decide whether `sender` can start a direct conversation with `recipient`, based on blocks and the
+// recipient's privacySettings.directMessages (everyone / connections / nobody).
+// Returns { allowed, asRequest, message, code }; `asRequest` means it lands in the recipient's requests.
+export const getDirectMessageAccess = async (sender, recipient) => {
+  if (await Connection.isBlockedBetween(sender._id, recipient._id)) {
+    return { allowed: false, message: UNAVAILABLE_MESSAGE, code: 'MESSAGING_UNAVAILABLE' };
+  }
+
+  const setting = recipient.privacySettings?.directMessages || 'everyone';
+
+  if (setting === 'nobody') {
+    return {
+      allowed: false,
+      message: 'This member isn\'t accepting direct messages',
+      code: 'DIRECT_MESSAGES_DISABLED',
+    };
+  }
+
+  if (await Connection.areConnected(sender._id, recipient._id)) {
+    return { allowed: true, asRequest: false };
+  }
+
+  if (setting === 'connections') {
+    return {
+      allowed: false,
+      message: 'This member only accepts messages from their connections',
+      code: 'CONNECTIONS_ONLY',
+    };
+  }
+
+  return { allowed: true, asRequest: true };
+};
+
+// Decide whether a participant can post in a conversation right now.
+// Direct conversations are closed by a block between the two members. In a message request the sender
+// gets one text message until it is accepted (no files); the recipient replying accepts it.
+// Returns { allowed, message, code, isRequest, acceptsRequest }
+export const getSendAccess = async (conversation, userId, { isFile = false } = {}) => {
+  if (conversation.type !== 'direct') return { allowed: true };
+
+  const other = conversation.participants.find(participant => participantId(participant) !== userId.toString());
+  if (other && await Connection.isBlockedBetween(userId, participantId(other))) {
+    return { allowed: false, message: UNAVAILABLE_MESSAGE, code: 'MESSAGING_UNAVAILABLE' };
+  }
+
+  const { status, requestedBy } = conversation.request || {};
+  if (!status || status === 'accepted') return { allowed: true };
+
+  if (requestedBy?.toString() !== userId.toString()) {
+    return { allowed: true, acceptsRequest: true };
+  }
+
+  if (status === 'declined') {
+    return { allowed: false, message: UNAVAILABLE_MESSAGE, code: 'MESSAGING_UNAVAILABLE' };
+  }
+
+  if (isFile) {
+    return {
+      allowed: false,
+      message: 'You can send files once your message request is accepted',
+      code: 'MESSAGE_REQUEST_PENDING',
+    };
+  }
+
+  if (await Message.exists({ conversation: conversation._id, sender: userId })) {
+    return {
+      allowed: false,
+      message: 'You can send more messages once your message request is accepted',
+      code: 'MESSAGE_REQUEST_PENDING',
+    };
+  }
+
+  return { allowed: true, isRequest: true };
+};
+
+// Decide whether `adder` can put `users` in a group. A small group is another way to message someone,
+// and groups have no requests inbox, so only the adder's connections can be added: no blocks in either
+// direction, nobody whose setting is `nobody`, and no one the adder isn't connected with.
+// Returns { allowed, message, code }
+export const getGroupAddAccess = async (adder, users) => {
+  const [blockedIds, connectedIds] = await Promise.all([
+    Connection.getBlockedUserIds(adder._id),
+    Connection.getConnectedUserIds(adder._id),
+  ]);
+  const blocked = new Set(blockedIds.map(id => id.toString()));
+  const connected = new Set(connectedIds.map(id => id.toString()));
+
+  if (users.some(user => blocked.has(user._id.toString()))) {
+    return { allowed: false, message: 'You can\'t add one or more of these members', code: 'MESSAGING_UNAVAILABLE' };
+  }
+
+  const settingOf = (user) => user.privacySettings?.directMessages || 'everyone';
+
+  if (users.some(user => settingOf(user) === 'nobody')) {
+    return {
+      allowed: false,
+      message: 'One or more of these members aren\'t accepting messages',
+      code: 'DIRECT_MESSAGES_DISABLED',
+    };
+  }
+
+  if (users.some(user => !connected.has(user._id.toString()))) {
+    return {
+      allowed: false,
+      message: 'You can only add your connections to a group',
+      code: 'NOT_CONNECTED',
+    };
+  }
+
+  return { allowed: true };
+};
+
+export default {
+  getDirectMessageAccess,
+  getSendAccess,
+  getGroupAddAccess,
+};
@@ -4,6 +4,8 @@ export const POINT_VALUES = {
   COMMENT_POST: 3,
   COMPLETE_MODULE: 10,
   COMPLETE_COURSE: 50,
+  PASS_QUIZ: 15,
+  PERFECT_QUIZ_BONUS: 5,
   ATTEND_EVENT: 15,
   SHARE_WIN: 20,
   COMPLETE_CHALLENGE: 25,
@@ -0,0 +1,91 @@
+import User from '../models/User.js';
+import Connection from '../models/Connection.js';
+
+// How long a user stays "online" after their last socket disconnects (covers reloads and flaky networks)
+export const PRESENCE_GRACE_PERIOD_MS = 30 * 1000;
+
+// Minimum gap between lastActive writes triggered by heartbeats
+const HEARTBEAT_WRITE_INTERVAL_MS = 60 * 1000;
+
+// userId -> { sockets: number, offlineTimer, lastHeartbeatWrite }
+const presence = new Map();
+
+// Check if a user currently has a live socket (or is inside the disconnect grace period)
+export const isUserOnline = (userId) => presence.has(userId.toString());
+
+// Get ids of every user with a live socket on this server
+export const getOnlineUserIds = () => [...presence.keys()];
+
+// Tell the user's accepted connections that their status changed
+const notifyConnections = async (io, userId, isOnline, lastActive) => {
+  const user = await User.findById(userId).select('privacySettings');
+  if (user?.privacySettings?.showOnlineStatus === false) return;
+
+  const connectedIds = await Connection.getConnectedUserIds(userId);
+
+  const payload = { userId, isOnline, lastActive };
+  connectedIds.forEach(otherId => {
+    io.to(`user_${otherId}`).emit('user_status_changed', payload);
+  });
+};
+
+const setOnlineStatus = async (io, userId, isOnline) => {
+  const lastActive = new Date();
+  await User.findByIdAndUpdate(userId, { isOnline, lastActive });
+  await notifyConnections(io, userId, isOnline, lastActive);
+};
+
+// Register a newly authenticated socket and wire its heartbeat/disconnect handlers
+export const trackSocketPresence = (io, socket) => {
+  const userId = socket.user._id.toString();
+  const entry = presence.get(userId);
+
+  if (entry) {
+    // Reconnecting inside the grace period, or another tab/device
+    clearTimeout(entry.offlineTimer);
+    entry.offlineTimer = null;
+    entry.sockets += 1;
+  } else {
+    presence.set(userId, { sockets: 1, offlineTimer: null, lastHeartbeatWrite: Date.now() });
+    setOnlineStatus(io, userId, true).catch(error => {
+      console.error('Presence update error:', error);
+    });
+  }
+
+  socket.on('heartbeat', async () => {
+    const current = presence.get(userId);
+    if (!current || Date.now() - current.lastHeartbeatWrite < HEARTBEAT_WRITE_INTERVAL_MS) return;
+
+    current.lastHeartbeatWrite = Date.now();
+    try {
+      await User.findByIdAndUpdate(userId, { lastActive: new Date() });
+    } catch (error) {
+      console.error('Heartbeat update error:', error);
+    }
+  });
+
+  socket.on('disconnect', () => {
+    const current = presence.get(userId);
+    if (!current) return;
+
+    current.sockets -= 1;
+    if (current.sockets > 0) return;
+
+    current.offlineTimer = setTimeout(() => {
+      presence.delete(userId);
+      setOnlineStatus(io, userId, false).catch(error => {
+        console.error('Presence update error:', error);
+      });
+    }, PRESENCE_GRACE_PERIOD_MS);
+  });
+};
+
+// Clear online flags left behind by a previous process (no sockets survive a restart)
+export const resetPresence = () => User.updateMany({ isOnline: true }, { isOnline: false });
+
+export default {
+  trackSocketPresence,
+  isUserOnline,
+  getOnlineUserIds,
+  resetPresence,
+};
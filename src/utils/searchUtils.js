@@ -0,0 +1,6 @@
+// Escape a search string so it matches literally inside a $regex (no invalid or expensive patterns)
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default {
+  escapeRegex,
+};
@@ -9,6 +9,11 @@ export const STREAK_TYPES = {
   COURSE: 'course',
 };
 
+// Streaks are counted per day, except learning streaks which are counted per week
+export const STREAK_PERIODS = {
+  [STREAK_TYPES.COURSE]: 'week',
+};
+
 // Streak rewards
 export const STREAK_REWARDS = {
   [STREAK_TYPES.LOGIN]: {
@@ -27,6 +32,36 @@ export const STREAK_REWARDS = {
     10: { points: 80, badge: 'Community Participant' },
     20: { points: 160, badge: 'Event Master' },
   },
+  [STREAK_TYPES.COURSE]: {
+    4: { points: 40, badge: 'Steady Learner' },
+    8: { points: 80, badge: 'Dedicated Student' },
+    12: { points: 150, badge: 'Lifelong Learner' },
+  },
+};
+
+// Start of the period (day, or Monday of the week) containing a date
+const getPeriodStart = (date, period) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  if (period === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+};
+
+// Start of the period before the one containing a date
+const getPreviousPeriodStart = (date, period) => {
+  const start = getPeriodStart(date, period);
+  start.setDate(start.getDate() - (period === 'week' ? 7 : 1));
+  return start;
+};
+
+// Current streak value, treating a streak whose last update is older than the previous period as broken
+export const getEffectiveStreak = (streak, streakType) => {
+  if (!streak?.lastUpdate) return 0;
+  const period = STREAK_PERIODS[streakType] || 'day';
+  const previousStart = getPreviousPeriodStart(new Date(), period);
+  return streak.lastUpdate >= previousStart ? streak.current : 0;
 };
 
 // Update user streak
@@ -49,13 +84,15 @@ export const updateStreak = async (userId, streakType, action = 'increment') =>
     }
 
     const streak = user.streaks[streakType];
-    const today = new Date().toDateString();
-    const lastUpdate = streak.lastUpdate ? streak.lastUpdate.toDateString() : null;
+    const period = STREAK_PERIODS[streakType] || 'day';
+    const now = new Date();
+    const today = getPeriodStart(now, period).toDateString();
+    const lastUpdate = streak.lastUpdate ? getPeriodStart(streak.lastUpdate, period).toDateString() : null;
 
     if (action === 'increment') {
-      // Check if it's a new day
+      // Check if it's a new day (or week)
       if (lastUpdate !== today) {
-        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toDateString();
+        const yesterday = getPreviousPeriodStart(now, period).toDateString();
         
         if (lastUpdate === yesterday) {
           // Continue streak
@@ -75,7 +112,7 @@ export const updateStreak = async (userId, streakType, action = 'increment') =>
         // Check for streak rewards
         const reward = STREAK_REWARDS[streakType]?.[streak.current];
         if (reward) {
-          await user.addPoints(reward.points, `${streak.current}-day ${streakType} streak!`);
+          await user.addPoints(reward.points, `${streak.current}-${period} ${streakType} streak!`);
           
           // Award badge if specified
           if (reward.badge) {
@@ -84,7 +121,7 @@ export const updateStreak = async (userId, streakType, action = 'increment') =>
               { name: reward.badge },
               {
                 name: reward.badge,
-                description: `Achieved ${streak.current}-day ${streakType} streak`,
+                description: `Achieved ${streak.current}-${period} ${streakType} streak`,
                 icon: getStreakIcon(streakType),
                 category: 'Streak',
                 criteria: { type: 'streak', value: streak.current, operator: '>=' },
@@ -129,7 +166,17 @@ export const checkBrokenStreaks = async () => {
       }
     }
 
+    // Reset weekly learning streaks with no learning last week
+    const courseStreakResult = await User.updateMany(
+      {
+        'streaks.course.current': { $gt: 0 },
+        'streaks.course.lastUpdate': { $lt: getPreviousPeriodStart(new Date(), 'week') },
+      },
+      { 'streaks.course.current': 0 }
+    );
+
     console.log(`✅ Checked ${users.length} users for broken streaks`);
+    console.log(`✅ Reset ${courseStreakResult.modifiedCount} weekly learning streaks`);
   } catch (error) {
     console.error('❌ Error checking broken streaks:', error);
   }
@@ -166,6 +213,7 @@ export const getUserStreakSummary = async (userId) => {
         post: { current: 0, longest: 0 },
         event: { current: 0, longest: 0 },
         challenge: { current: 0, longest: 0 },
+        course: { current: 0, longest: 0 },
       };
     }
 
@@ -178,8 +226,10 @@ export const getUserStreakSummary = async (userId) => {
 
 export default {
   STREAK_TYPES,
+  STREAK_PERIODS,
   STREAK_REWARDS,
   updateStreak,
+  getEffectiveStreak,
   checkBrokenStreaks,
   getUserStreakSummary,
 };
\ No newline at end of file
@@ -0,0 +1,215 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Event from '../src/models/Event.js';
+import { updateEvent } from '../src/utils/eventRecurrence.js';
+import { mockQuery } from './helpers/mockQuery.js';
+
+// Local-time date at 10:00, the time of day every series below starts at
+const at = (year, month, day, hours = 10) => new Date(year, month - 1, day, hours);
+
+const times = (dates) => dates.map(date => date.getTime());
+
+const buildSeries = (date, recurringPattern) => new Event({
+  title: 'Weekly check-in',
+  description: 'Talk through the week',
+  date,
+  duration: '60 min',
+  type: 'community',
+  instructor: 'Coach',
+  isRecurring: true,
+  recurringPattern,
+});
+
+describe('Event#getOccurrenceDates', () => {
+  it('skips months without the start day for a monthly series on the 31st', () => {
+    const series = buildSeries(at(2026, 1, 31), { frequency: 'monthly' });
+
+    const dates = series.getOccurrenceDates(new Date(series.date.getTime() - 1), at(2026, 7, 31));
+
+    expect(times(dates)).toEqual(times([
+      at(2026, 1, 31),
+      at(2026, 3, 31),
+      at(2026, 5, 31),
+      at(2026, 7, 31),
+    ]));
+  });
+
+  it('keeps a biweekly series aligned to the weeks of its first date', () => {
+    // Wednesday 7 January; Mondays and Wednesdays every other week
+    const series = buildSeries(at(2026, 1, 7), { frequency: 'biweekly', daysOfWeek: [3, 1] });
+
+    const dates = series.getOccurrenceDates(new Date(series.date.getTime() - 1), at(2026, 2, 18));
+
+    expect(times(dates)).toEqual(times([
+      at(2026, 1, 7),
+      at(2026, 1, 19),
+      at(2026, 1, 21),
+      at(2026, 2, 2),
+      at(2026, 2, 4),
+      at(2026, 2, 16),
+      at(2026, 2, 18),
+    ]));
+  });
+
+  it('repeats on the weekday of the first date when no days are set', () => {
+    const series = buildSeries(at(2026, 1, 5), { frequency: 'weekly' });
+
+    const dates = series.getOccurrenceDates(at(2026, 1, 5), at(2026, 1, 26));
+
+    expect(times(dates)).toEqual(times([at(2026, 1, 12), at(2026, 1, 19), at(2026, 1, 26)]));
+  });
+
+  it('stops at the pattern end date', () => {
+    const series = buildSeries(at(2026, 1, 5), { frequency: 'weekly', endDate: at(2026, 1, 20, 0) });
+
+    const dates = series.getOccurrenceDates(new Date(series.date.getTime() - 1), at(2026, 3, 31));
+
+    expect(times(dates)).toEqual(times([at(2026, 1, 5), at(2026, 1, 12), at(2026, 1, 19)]));
+  });
+
+  it('returns nothing for a one-off event', () => {
+    const event = buildSeries(at(2026, 1, 5), { frequency: 'weekly' });
+    event.isRecurring = false;
+
+    expect(event.getOccurrenceDates(at(2026, 1, 1), at(2026, 3, 31))).toEqual([]);
+  });
+});
+
+describe('Event#isOccurrenceDate', () => {
+  const series = buildSeries(at(2026, 1, 31), { frequency: 'monthly' });
+
+  it('matches slots in the pattern', () => {
+    expect(series.isOccurrenceDate(at(2026, 3, 31))).toBe(true);
+  });
+
+  it('rejects other days and other times of day', () => {
+    expect(series.isOccurrenceDate(at(2026, 2, 28))).toBe(false);
+    expect(series.isOccurrenceDate(at(2026, 3, 31, 11))).toBe(false);
+  });
+});
+
+describe('updateEvent', () => {
+  let store;
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+    if (key === '_id') return doc._id.equals(condition);
+    if (key === 'series') return Boolean(doc.series?.equals(condition));
+    if (key === 'occurrenceDate' && condition.$gte) return doc.occurrenceDate >= condition.$gte;
+    if (key === 'occurrenceDate' && condition.$in) return times(condition.$in).includes(doc.occurrenceDate.getTime());
+    return doc[key] === condition;
+  });
+
+  const occurrencesOf = (series) => store
+    .filter(doc => doc.series?.equals(series._id))
+    .sort((a, b) => a.occurrenceDate - b.occurrenceDate);
+
+  const addOccurrence = (series, date, attendees = []) => {
+    const occurrence = new Event({
+      title: series.title,
+      description: series.description,
+      date,
+      duration: series.duration,
+      type: series.type,
+      instructor: series.instructor,
+      series: series._id,
+      occurrenceDate: date,
+      attendees,
+    });
+    store.push(occurrence);
+    return occurrence;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: at(2026, 1, 1, 9), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    store = [];
+
+    jest.spyOn(Event, 'find').mockImplementation(filter => mockQuery(store.filter(doc => matches(doc, filter))
+      .sort((a, b) => a.occurrenceDate - b.occurrenceDate)));
+    jest.spyOn(Event, 'findOne').mockImplementation(filter => mockQuery(store
+      .filter(doc => doc.occurrenceDate && matches(doc, filter))
+      .sort((a, b) => a.occurrenceDate - b.occurrenceDate)[0] || null));
+    jest.spyOn(Event, 'findById').mockImplementation(id => mockQuery(store.find(doc => doc._id.equals(id)) || null));
+    jest.spyOn(Event, 'create').mockImplementation(async (data) => {
+      const doc = new Event(data);
+      store.push(doc);
+      return doc;
+    });
+    jest.spyOn(Event.prototype, 'save').mockImplementation(async function() {
+      if (!store.includes(this)) store.push(this);
+      return this;
+    });
+    jest.spyOn(Event.prototype, 'deleteOne').mockImplementation(async function() {
+      store = store.filter(doc => doc !== this);
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('splits the series when an occurrence is moved for all future dates', async () => {
+    // Mondays from 5 January
+    const series = buildSeries(at(2026, 1, 5), { frequency: 'weekly' });
+    series.generatedUntil = at(2026, 1, 26);
+    store.push(series);
+    const [, , monday19, monday26] = [5, 12, 19, 26].map(day => addOccurrence(series, at(2026, 1, day)));
+
+    // Move the 19th to Tuesday the 20th, and everything after it
+    const result = await updateEvent(monday19, { date: at(2026, 1, 20) }, 'future');
+
+    expect(series.recurringPattern.endDate).toEqual(new Date(at(2026, 1, 19).getTime() - 1));
+    expect(times(occurrencesOf(series).map(occurrence => occurrence.date)))
+      .toEqual(times([at(2026, 1, 5), at(2026, 1, 12)]));
+
+    const newSeries = result.series;
+    expect(newSeries._id.equals(series._id)).toBe(false);
+    expect(newSeries.date).toEqual(at(2026, 1, 20));
+    expect(newSeries.recurringPattern.endDate).toBeUndefined();
+    expect(result).toMatchObject({ updated: 2, cancelled: 0, removed: 0 });
+
+    expect(monday19.series.equals(newSeries._id)).toBe(true);
+    expect(monday19.date).toEqual(at(2026, 1, 20));
+    expect(monday26.occurrenceDate).toEqual(at(2026, 1, 27));
+
+    const newOccurrences = occurrencesOf(newSeries);
+    expect(newOccurrences.every(occurrence => occurrence.date.getDay() === 2)).toBe(true);
+    expect(newOccurrences).toHaveLength(result.created + 2);
+    expect(result.event).toBe(monday19);
+  });
+
+  it('shifts the whole series in place when the series itself is moved', async () => {
+    const series = buildSeries(at(2026, 1, 5), { frequency: 'weekly' });
+    series.generatedUntil = at(2026, 1, 12);
+    store.push(series);
+    const [monday5, monday12] = [5, 12].map(day => addOccurrence(series, at(2026, 1, day)));
+
+    const result = await updateEvent(series, { date: at(2026, 1, 7) });
+
+    expect(result.series).toBe(series);
+    expect(series.date).toEqual(at(2026, 1, 7));
+    expect(series.recurringPattern.endDate).toBeUndefined();
+    expect(monday5.occurrenceDate).toEqual(at(2026, 1, 7));
+    expect(monday12.occurrenceDate).toEqual(at(2026, 1, 14));
+    expect(occurrencesOf(series).every(occurrence => occurrence.date.getDay() === 3)).toBe(true);
+  });
+
+  it('cancels occurrences with RSVPs and removes the rest when the pattern no longer fits them', async () => {
+    const series = buildSeries(at(2026, 1, 5), { frequency: 'weekly', daysOfWeek: [1] });
+    series.generatedUntil = at(2026, 1, 12);
+    store.push(series);
+    const member = new mongoose.Types.ObjectId();
+    const monday5 = addOccurrence(series, at(2026, 1, 5), [{ user: member, status: 'going' }]);
+    const monday12 = addOccurrence(series, at(2026, 1, 12));
+
+    const result = await updateEvent(series, { recurringPattern: { frequency: 'weekly', daysOfWeek: [3] } });
+
+    expect(result).toMatchObject({ updated: 0, cancelled: 1, removed: 1 });
+    expect(monday5.status).toBe('cancelled');
+    expect(store).not.toContain(monday12);
+    expect(occurrencesOf(series)
+      .filter(occurrence => occurrence.status !== 'cancelled')
+      .every(occurrence => occurrence.date.getDay() === 3)).toBe(true);
+  });
+});
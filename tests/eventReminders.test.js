@@ -0,0 +1,109 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Event from '../src/models/Event.js';
+import User from '../src/models/User.js';
+import Notification from '../src/models/Notification.js';
+import { processDueReminders } from '../src/utils/eventReminders.js';
+import { mockQuery } from './helpers/mockQuery.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const buildEvent = (startsInMs, reminderTypes, attendees) => new Event({
+  title: 'Budgeting workshop',
+  description: 'Build a monthly budget',
+  date: new Date(Date.now() + startsInMs),
+  duration: '60 min',
+  type: 'workshop',
+  instructor: 'Coach',
+  attendees,
+  reminders: reminderTypes.map(type => ({ type })),
+});
+
+const reminderOf = (event, type) => event.reminders.find(reminder => reminder.type === type);
+
+describe('processDueReminders', () => {
+  let member;
+
+  beforeEach(() => {
+    // Email and push are off so delivery only creates the in-app notification
+    member = {
+      _id: new mongoose.Types.ObjectId(),
+      notificationPreferences: { email: { eventReminders: false }, push: { eventReminders: false } },
+    };
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([member]));
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims and sends the closest due reminder and marks the skipped ones sent', async () => {
+    // Starts in 30 minutes: the day and hour reminders are both overdue
+    const event = buildEvent(HOUR_MS / 2, ['1week', '1day', '1hour'], [
+      { user: member._id, status: 'going' },
+      { user: new mongoose.Types.ObjectId(), status: 'maybe' },
+    ]);
+    jest.spyOn(Event, 'find').mockResolvedValue([event]);
+    const updateOne = jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await processDueReminders();
+
+    expect(result).toEqual({ eventsChecked: 1, remindersSent: 1 });
+
+    const [skipDay, skipWeek, claim] = updateOne.mock.calls;
+    expect(updateOne).toHaveBeenCalledTimes(3);
+    expect(skipDay[0]).toEqual({ _id: event._id, 'reminders._id': reminderOf(event, '1day')._id });
+    expect(skipWeek[0]).toEqual({ _id: event._id, 'reminders._id': reminderOf(event, '1week')._id });
+    expect(claim[0]).toEqual({
+      _id: event._id,
+      reminders: { $elemMatch: { _id: reminderOf(event, '1hour')._id, sent: false } },
+    });
+
+    expect(User.find).toHaveBeenCalledWith({ _id: { $in: [member._id] }, isBanned: { $ne: true } });
+    expect(Notification.createNotification).toHaveBeenCalledTimes(1);
+    expect(Notification.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: member._id,
+      type: 'event_reminder',
+    }));
+  });
+
+  it('does not send a reminder another run already claimed', async () => {
+    const event = buildEvent(HOUR_MS / 2, ['1hour'], [{ user: member._id, status: 'going' }]);
+    jest.spyOn(Event, 'find').mockResolvedValue([event]);
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await processDueReminders();
+
+    expect(result).toEqual({ eventsChecked: 1, remindersSent: 0 });
+    expect(Notification.createNotification).not.toHaveBeenCalled();
+  });
+
+  it('leaves reminders that are not due yet and ones already sent', async () => {
+    const event = buildEvent(3 * HOUR_MS, ['1day', '1hour'], [{ user: member._id, status: 'going' }]);
+    reminderOf(event, '1day').sent = true;
+    jest.spyOn(Event, 'find').mockResolvedValue([event]);
+    const updateOne = jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await processDueReminders();
+
+    expect(result).toEqual({ eventsChecked: 1, remindersSent: 0 });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it('skips a run while the previous one is still going', async () => {
+    let finishFind;
+    jest.spyOn(Event, 'find').mockReturnValue(new Promise(resolve => {
+      finishFind = resolve;
+    }));
+
+    const firstRun = processDueReminders();
+    const secondRun = await processDueReminders();
+    finishFind([]);
+
+    expect(secondRun).toEqual({ eventsChecked: 0, remindersSent: 0 });
+    expect(await firstRun).toEqual({ eventsChecked: 0, remindersSent: 0 });
+    expect(Event.find).toHaveBeenCalledTimes(1);
+  });
+});
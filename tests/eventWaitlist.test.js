@@ -0,0 +1,119 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Event from '../src/models/Event.js';
+
+const memberId = () => new mongoose.Types.ObjectId();
+
+const buildEvent = (maxAttendees, attendees = []) => new Event({
+  title: 'Budgeting workshop',
+  description: 'Build a monthly budget',
+  date: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  duration: '60 min',
+  type: 'workshop',
+  instructor: 'Coach',
+  maxAttendees,
+  attendees,
+});
+
+const statusOf = (event, userId) => event.attendees.find(attendee => attendee.user.equals(userId))?.status;
+
+describe('event waitlist', () => {
+  let saveSpy;
+
+  beforeEach(() => {
+    saveSpy = jest.spyOn(Event.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('waitlists a going RSVP once the event is full', async () => {
+    const [first, second, third] = [memberId(), memberId(), memberId()];
+    const event = buildEvent(1, [{ user: first, status: 'going' }]);
+
+    const secondResult = await event.addAttendee(second);
+    const thirdResult = await event.addAttendee(third);
+
+    expect(secondResult).toMatchObject({ status: 'waitlisted', waitlistPosition: 1, previousStatus: null });
+    expect(thirdResult).toMatchObject({ status: 'waitlisted', waitlistPosition: 2 });
+    expect(event.attendeeCount).toBe(1);
+    expect(saveSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the spot of a member who re-sends a going RSVP on a full event', async () => {
+    const member = memberId();
+    const event = buildEvent(1, [{ user: member, status: 'going' }]);
+
+    const result = await event.addAttendee(member, 'going');
+
+    expect(result).toMatchObject({ status: 'going', previousStatus: 'going', promoted: [] });
+  });
+
+  it('promotes the first waitlisted member when a going member drops out', async () => {
+    const [going, waitingFirst, waitingSecond] = [memberId(), memberId(), memberId()];
+    const event = buildEvent(1, [
+      { user: going, status: 'going' },
+      { user: waitingSecond, status: 'waitlisted', waitlistPosition: 2 },
+      { user: waitingFirst, status: 'waitlisted', waitlistPosition: 1 },
+    ]);
+
+    const result = await event.addAttendee(going, 'not_going');
+
+    expect(result.previousStatus).toBe('going');
+    expect(result.promoted).toHaveLength(1);
+    expect(result.promoted[0].user.equals(waitingFirst)).toBe(true);
+    expect(result.promoted[0].promotedAt).toBeInstanceOf(Date);
+    expect(statusOf(event, going)).toBeUndefined();
+    expect(statusOf(event, waitingFirst)).toBe('going');
+    expect(event.getWaitlist().map(attendee => attendee.waitlistPosition)).toEqual([1]);
+    expect(event.getWaitlist()[0].user.equals(waitingSecond)).toBe(true);
+  });
+
+  it('does not promote anyone when a maybe RSVP drops out', async () => {
+    const [maybe, waiting] = [memberId(), memberId()];
+    const event = buildEvent(1, [
+      { user: memberId(), status: 'going' },
+      { user: maybe, status: 'maybe' },
+      { user: waiting, status: 'waitlisted', waitlistPosition: 1 },
+    ]);
+
+    const result = await event.addAttendee(maybe, 'not_going');
+
+    expect(result.promoted).toEqual([]);
+    expect(statusOf(event, waiting)).toBe('waitlisted');
+  });
+
+  it('fills raised capacity from the waitlist in queue order', () => {
+    const [first, second, third] = [memberId(), memberId(), memberId()];
+    const event = buildEvent(1, [
+      { user: memberId(), status: 'going' },
+      { user: third, status: 'waitlisted', waitlistPosition: 3 },
+      { user: first, status: 'waitlisted', waitlistPosition: 1 },
+      { user: second, status: 'waitlisted', waitlistPosition: 2 },
+    ]);
+
+    event.maxAttendees = 3;
+    const promoted = event.promoteFromWaitlist();
+
+    expect(promoted.map(attendee => attendee.user.toString())).toEqual([first.toString(), second.toString()]);
+    expect(event.attendeeCount).toBe(3);
+    expect(statusOf(event, third)).toBe('waitlisted');
+    expect(event.getWaitlist()[0].waitlistPosition).toBe(1);
+  });
+
+  it('promotes everyone when the event has no capacity limit', () => {
+    const event = buildEvent(1, [
+      { user: memberId(), status: 'going' },
+      { user: memberId(), status: 'waitlisted', waitlistPosition: 1 },
+      { user: memberId(), status: 'waitlisted', waitlistPosition: 2 },
+    ]);
+
+    event.maxAttendees = undefined;
+
+    expect(event.promoteFromWaitlist()).toHaveLength(2);
+    expect(event.waitlistCount).toBe(0);
+  });
+});
@@ -0,0 +1,14 @@
+// Stand-in for a Mongoose query that resolves to `result`.
+// Chained modifiers (sort, select, lean, ...) are no-ops, so stubbed statics can be awaited the way the code uses them.
+export const mockQuery = (result) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+export default mockQuery;
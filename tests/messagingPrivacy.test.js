@@ -0,0 +1,178 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Connection from '../src/models/Connection.js';
+import { Message } from '../src/models/Message.js';
+import {
+  getDirectMessageAccess,
+  getSendAccess,
+  getGroupAddAccess,
+} from '../src/utils/messagingPrivacy.js';
+
+const buildUser = (directMessages) => ({
+  _id: new mongoose.Types.ObjectId(),
+  privacySettings: directMessages ? { directMessages } : undefined,
+});
+
+describe('messaging privacy', () => {
+  let blocked;
+  let connected;
+
+  beforeEach(() => {
+    blocked = false;
+    connected = false;
+    jest.spyOn(Connection, 'isBlockedBetween').mockImplementation(async () => blocked);
+    jest.spyOn(Connection, 'areConnected').mockImplementation(async () => connected);
+    jest.spyOn(Message, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDirectMessageAccess', () => {
+    it('sends a message request to a member who accepts messages from everyone', async () => {
+      const access = await getDirectMessageAccess(buildUser(), buildUser());
+
+      expect(access).toEqual({ allowed: true, asRequest: true });
+    });
+
+    it('lets connections message directly', async () => {
+      connected = true;
+
+      const access = await getDirectMessageAccess(buildUser(), buildUser('connections'));
+
+      expect(access).toEqual({ allowed: true, asRequest: false });
+    });
+
+    it('refuses strangers when the recipient only accepts connections', async () => {
+      const access = await getDirectMessageAccess(buildUser(), buildUser('connections'));
+
+      expect(access).toMatchObject({ allowed: false, code: 'CONNECTIONS_ONLY' });
+    });
+
+    it('refuses everyone, connections included, when the recipient accepts nobody', async () => {
+      connected = true;
+
+      const access = await getDirectMessageAccess(buildUser(), buildUser('nobody'));
+
+      expect(access).toMatchObject({ allowed: false, code: 'DIRECT_MESSAGES_DISABLED' });
+    });
+
+    it('refuses a blocked pair without revealing the block', async () => {
+      blocked = true;
+
+      const access = await getDirectMessageAccess(buildUser(), buildUser());
+
+      expect(access).toMatchObject({ allowed: false, code: 'MESSAGING_UNAVAILABLE' });
+    });
+  });
+
+  describe('getSendAccess', () => {
+    const sender = new mongoose.Types.ObjectId();
+    const recipient = new mongoose.Types.ObjectId();
+
+    const buildConversation = (request) => ({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'direct',
+      participants: [{ user: sender }, { user: { _id: recipient } }],
+      request,
+    });
+
+    it('lets the requester send one text message while the request is pending', async () => {
+      const conversation = buildConversation({ status: 'pending', requestedBy: sender });
+
+      expect(await getSendAccess(conversation, sender)).toEqual({ allowed: true, isRequest: true });
+
+      Message.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      expect(await getSendAccess(conversation, sender)).toMatchObject({
+        allowed: false,
+        code: 'MESSAGE_REQUEST_PENDING',
+      });
+      expect(Message.exists).toHaveBeenCalledWith({ conversation: conversation._id, sender });
+    });
+
+    it('refuses files from the requester until the request is accepted', async () => {
+      const conversation = buildConversation({ status: 'pending', requestedBy: sender });
+
+      const access = await getSendAccess(conversation, sender, { isFile: true });
+
+      expect(access).toMatchObject({ allowed: false, code: 'MESSAGE_REQUEST_PENDING' });
+      expect(Message.exists).not.toHaveBeenCalled();
+    });
+
+    it('treats a reply from the recipient as accepting the request', async () => {
+      const conversation = buildConversation({ status: 'pending', requestedBy: sender });
+
+      expect(await getSendAccess(conversation, recipient)).toEqual({ allowed: true, acceptsRequest: true });
+    });
+
+    it('refuses the requester once the request is declined', async () => {
+      const conversation = buildConversation({ status: 'declined', requestedBy: sender });
+
+      expect(await getSendAccess(conversation, sender)).toMatchObject({
+        allowed: false,
+        code: 'MESSAGING_UNAVAILABLE',
+      });
+    });
+
+    it('allows an accepted conversation unless the members have blocked each other', async () => {
+      const conversation = buildConversation({ status: 'accepted', requestedBy: sender });
+
+      expect(await getSendAccess(conversation, sender)).toEqual({ allowed: true });
+
+      blocked = true;
+
+      expect(await getSendAccess(conversation, sender)).toMatchObject({
+        allowed: false,
+        code: 'MESSAGING_UNAVAILABLE',
+      });
+      expect(Connection.isBlockedBetween).toHaveBeenLastCalledWith(sender, recipient.toString());
+    });
+
+    it('does not apply request rules to group conversations', async () => {
+      const conversation = { ...buildConversation({ status: 'pending', requestedBy: sender }), type: 'group' };
+
+      expect(await getSendAccess(conversation, sender, { isFile: true })).toEqual({ allowed: true });
+      expect(Connection.isBlockedBetween).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getGroupAddAccess', () => {
+    const adder = buildUser();
+
+    const stubConnections = ({ blockedIds = [], connectedIds = [] }) => {
+      jest.spyOn(Connection, 'getBlockedUserIds').mockResolvedValue(blockedIds);
+      jest.spyOn(Connection, 'getConnectedUserIds').mockResolvedValue(connectedIds);
+    };
+
+    it('allows adding connections', async () => {
+      const members = [buildUser(), buildUser('connections')];
+      stubConnections({ connectedIds: members.map(member => member._id) });
+
+      expect(await getGroupAddAccess(adder, members)).toEqual({ allowed: true });
+    });
+
+    it('refuses members the adder is not connected with', async () => {
+      const [connection, stranger] = [buildUser(), buildUser()];
+      stubConnections({ connectedIds: [connection._id] });
+
+      expect(await getGroupAddAccess(adder, [connection, stranger])).toMatchObject({
+        allowed: false,
+        code: 'NOT_CONNECTED',
+      });
+    });
+
+    it('refuses blocked members and members who accept nobody', async () => {
+      const member = buildUser();
+      stubConnections({ blockedIds: [member._id], connectedIds: [member._id] });
+
+      expect(await getGroupAddAccess(adder, [member])).toMatchObject({ code: 'MESSAGING_UNAVAILABLE' });
+
+      const closed = buildUser('nobody');
+      stubConnections({ connectedIds: [closed._id] });
+
+      expect(await getGroupAddAccess(adder, [closed])).toMatchObject({ code: 'DIRECT_MESSAGES_DISABLED' });
+    });
+  });
+});